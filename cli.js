@@ -0,0 +1,512 @@
+/**
+ * @file This module defines the command-line interface: the available subcommands
+ * and flags, a parser for `process.argv`, and the generated help text.
+ */
+
+import fs from "fs";
+
+/**
+ * Thrown when the command line cannot be parsed (unknown flag, missing value, ...).
+ */
+export class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UsageError";
+  }
+}
+
+/**
+ * The available subcommands. `commit` runs when no subcommand is given.
+ */
+export const COMMANDS = {
+  commit: {
+    usage: "commit [message...]",
+    description: "Generate a commit message for the staged changes and commit.",
+  },
+  reword: {
+    usage: "reword <rev> [message...]",
+    description:
+      "Propose a better message for an existing commit and rewrite it.",
+  },
+  config: {
+    usage: "config",
+    description:
+      "Print the effective configuration and where each value comes from.",
+  },
+  stats: {
+    usage: "stats",
+    description:
+      "Summarize the locally logged token usage, acceptance rate and rewrites.",
+  },
+  login: {
+    usage: "login",
+    description:
+      "Save an API key for the provider (see --provider) in the credential store.",
+  },
+  logout: {
+    usage: "logout",
+    description: "Remove the provider's stored API key.",
+  },
+  hook: {
+    usage: "hook <install|uninstall>",
+    description:
+      "Install or remove a prepare-commit-msg hook that pre-fills `git commit` messages.",
+  },
+};
+
+/** The actions of the `hook` subcommand. `run` is invoked by the installed hook itself. */
+export const HOOK_ACTIONS = ["install", "uninstall", "run"];
+
+export const DEFAULT_COMMAND = "commit";
+
+/**
+ * The available flags. Options marked `config` are configuration overrides
+ * passed on to `loadConfig` (see services/config.js).
+ */
+export const OPTIONS = [
+  {
+    name: "yes",
+    flag: "--yes",
+    alias: "-y",
+    type: "boolean",
+    description: "Accept the first valid suggestion without asking.",
+  },
+  {
+    name: "dryRun",
+    flag: "--dry-run",
+    type: "boolean",
+    description: "Print the suggestion instead of committing.",
+  },
+  {
+    name: "json",
+    flag: "--json",
+    type: "boolean",
+    description:
+      "Print the suggestion and its metadata as JSON, without prompts (implies --dry-run).",
+  },
+  {
+    name: "split",
+    flag: "--split",
+    type: "boolean",
+    description:
+      "Split the staged changes into several commits, one message each.",
+  },
+  {
+    name: "splitBy",
+    flag: "--split-by",
+    type: "string",
+    value: "<strategy>",
+    config: true,
+    description: "How --split groups files: directory or model.",
+  },
+  {
+    name: "type",
+    flag: "--type",
+    type: "string",
+    value: "<type>",
+    description: 'Force the commit type (e.g. "fix").',
+  },
+  {
+    name: "scope",
+    flag: "--scope",
+    type: "string",
+    value: "<scope>",
+    description: "Force the commit scope.",
+  },
+  {
+    name: "amend",
+    flag: "--amend",
+    type: "boolean",
+    description:
+      "Amend the previous commit, revising its message for the amended changes.",
+  },
+  {
+    name: "force",
+    flag: "--force",
+    type: "boolean",
+    description:
+      "Let reword rewrite commits that were already pushed or are signed.",
+  },
+  {
+    name: "noVerify",
+    flag: "--no-verify",
+    type: "boolean",
+    description: "Skip the pre-commit and commit-msg hooks.",
+  },
+  {
+    name: "sign",
+    flag: "--gpg-sign",
+    alias: "-S",
+    type: "boolean",
+    description: "Sign the commit, as `git commit -S` does.",
+  },
+  {
+    name: "signoff",
+    flag: "--signoff",
+    alias: "-s",
+    type: "boolean",
+    description: "Add a Signed-off-by trailer.",
+  },
+  {
+    name: "author",
+    flag: "--author",
+    type: "string",
+    value: "<author>",
+    description: 'Override the commit author ("Name <email>").',
+  },
+  {
+    name: "retry",
+    flag: "--retry",
+    type: "boolean",
+    description:
+      "Commit the message saved by a failed commit, without asking the model again.",
+  },
+  {
+    name: "nonInteractive",
+    flag: "--non-interactive",
+    type: "boolean",
+    description:
+      "Never prompt; accept valid suggestions and fail fast otherwise (automatic without a terminal or in CI).",
+  },
+  {
+    name: "days",
+    flag: "--days",
+    type: "number",
+    value: "<n>",
+    description: "Limit stats to the last n days.",
+  },
+  {
+    name: "provider",
+    flag: "--provider",
+    type: "string",
+    value: "<name>",
+    config: true,
+    description: "Model provider: gemini, openai or ollama.",
+  },
+  {
+    name: "model",
+    flag: "--model",
+    type: "string",
+    value: "<name>",
+    config: true,
+    description: "Model name.",
+  },
+  {
+    name: "baseUrl",
+    flag: "--base-url",
+    type: "string",
+    value: "<url>",
+    config: true,
+    description: "Provider API base URL.",
+  },
+  {
+    name: "style",
+    flag: "--style",
+    type: "string",
+    value: "<style>",
+    config: true,
+    description: "Message style: oneline or full.",
+  },
+  {
+    name: "commitStyle",
+    flag: "--commit-style",
+    type: "string",
+    value: "<style>",
+    config: true,
+    description:
+      "Subject convention: auto (learn from history), conventional, gitmoji, ticket or plain.",
+  },
+  {
+    name: "candidates",
+    flag: "--candidates",
+    type: "number",
+    value: "<n>",
+    config: true,
+    description: "Number of candidate messages to generate (1-8).",
+  },
+  {
+    name: "secretScan",
+    flag: "--secret-scan",
+    type: "string",
+    value: "<mode>",
+    config: true,
+    description:
+      "When possible secrets are found: confirm, redact, block or off.",
+  },
+  {
+    name: "timeout",
+    flag: "--timeout",
+    type: "number",
+    value: "<seconds>",
+    config: true,
+    description: "How long to wait for each provider request.",
+  },
+  {
+    name: "maxDiffTokens",
+    flag: "--max-diff-tokens",
+    type: "number",
+    value: "<n>",
+    config: true,
+    description: "Token budget for the staged patch.",
+  },
+  {
+    name: "cache",
+    flag: "--cache",
+    type: "string",
+    value: "<mode>",
+    config: true,
+    description: "Response cache: on, off, record or replay.",
+  },
+  {
+    name: "noCache",
+    flag: "--no-cache",
+    type: "boolean",
+    description: "Always ask the provider; same as --cache off.",
+  },
+  {
+    name: "help",
+    flag: "--help",
+    alias: "-h",
+    type: "boolean",
+    description: "Show this help.",
+  },
+  {
+    name: "version",
+    flag: "--version",
+    alias: "-v",
+    type: "boolean",
+    description: "Show the version number.",
+  },
+];
+
+/** Legacy spellings kept for backwards compatibility. */
+const LEGACY_ALIASES = { "/y": "--yes" };
+
+/**
+ * Finds the option definition for a flag or alias.
+ * @param {string} flag - The flag as typed (e.g. "--model" or "-y").
+ * @returns {object|undefined} The option definition.
+ */
+const findOption = (flag) => {
+  const normalized = LEGACY_ALIASES[flag] || flag;
+  return OPTIONS.find(
+    (option) => option.flag === normalized || option.alias === normalized
+  );
+};
+
+/** The subcommands that take no arguments. */
+const ARGUMENTLESS_COMMANDS = ["config", "stats", "login", "logout"];
+
+/**
+ * Tells whether a leading word names a subcommand given the words after it.
+ * A message may start with a command name (`config loader fix`), so a command
+ * that takes no arguments, or a `hook` without a known action, is not taken
+ * as one when more words follow.
+ * @param {string} name - The first positional argument.
+ * @param {string[]} rest - The positional arguments after it.
+ * @returns {boolean} True if `name` selects the subcommand.
+ */
+const selectsCommand = (name, rest) => {
+  if (!COMMANDS[name]) return false;
+  if (ARGUMENTLESS_COMMANDS.includes(name)) return rest.length === 0;
+  if (name === "hook") return !rest.length || HOOK_ACTIONS.includes(rest[0]);
+  return true;
+};
+
+/**
+ * Parses command-line arguments.
+ * Flags may appear anywhere; values are given as `--flag value` or `--flag=value`,
+ * and `--` ends flag parsing. Only the first argument before `--` can name a
+ * subcommand, so `-- reword docs` is always a message.
+ * @param {string[]} argv - The arguments, without the node executable and script path.
+ * @returns {{command: string, options: object, positionals: string[]}} The parsed command line.
+ * @throws {UsageError} On unknown flags, missing or invalid values.
+ */
+export const parseArgs = (argv) => {
+  const options = {};
+  const positionals = [];
+  // Whether the first positional came before `--` and so may name a subcommand.
+  let commandAllowed = false;
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--") {
+      positionals.push(...argv.slice(i + 1));
+      break;
+    }
+    if (!arg.startsWith("-") && !LEGACY_ALIASES[arg]) {
+      if (!positionals.length) commandAllowed = true;
+      positionals.push(arg);
+      continue;
+    }
+
+    const [flag, inlineValue] = arg.split(/=(.*)/s);
+    const option = findOption(flag);
+    if (!option) {
+      throw new UsageError(`Unknown option: ${flag}`);
+    }
+
+    if (option.type === "boolean") {
+      if (inlineValue !== undefined) {
+        throw new UsageError(`Option ${option.flag} does not take a value.`);
+      }
+      options[option.name] = true;
+      continue;
+    }
+
+    const value = inlineValue !== undefined ? inlineValue : argv[++i];
+    if (value === undefined || value === "") {
+      throw new UsageError(`Option ${option.flag} requires a value.`);
+    }
+    if (option.type === "number") {
+      const number = Number(value);
+      if (!Number.isInteger(number) || number <= 0) {
+        throw new UsageError(
+          `Option ${option.flag} expects a positive integer, got "${value}".`
+        );
+      }
+      options[option.name] = number;
+    } else {
+      options[option.name] = value;
+    }
+  }
+
+  let command = DEFAULT_COMMAND;
+  if (commandAllowed && selectsCommand(positionals[0], positionals.slice(1))) {
+    command = positionals.shift();
+  }
+  if (command === "hook") {
+    if (!HOOK_ACTIONS.includes(positionals[0])) {
+      throw new UsageError(
+        'The "hook" command expects "install" or "uninstall".'
+      );
+    }
+    if (positionals[0] === "run" && !positionals[1]) {
+      throw new UsageError('"hook run" expects the commit message file.');
+    }
+  }
+
+  if (command === "reword") {
+    if (!positionals.length) {
+      throw new UsageError(
+        'The "reword" command expects a commit, e.g. HEAD~2.'
+      );
+    }
+    // Every rewritten commit keeps its author, and reword does not sign.
+    const conflict = [
+      "json",
+      "split",
+      "amend",
+      "retry",
+      "author",
+      "signoff",
+      "sign",
+    ].find((name) => options[name]);
+    if (conflict) {
+      throw new UsageError(
+        `"reword" cannot be combined with ${
+          OPTIONS.find((option) => option.name === conflict).flag
+        }.`
+      );
+    }
+  }
+
+  if (options.noCache && options.cache) {
+    throw new UsageError("--no-cache cannot be combined with --cache.");
+  }
+
+  if (options.split && (options.json || options.amend)) {
+    throw new UsageError(
+      `--split cannot be combined with ${options.json ? "--json" : "--amend"}.`
+    );
+  }
+
+  if (options.retry) {
+    if (options.json || options.split) {
+      throw new UsageError(
+        `--retry cannot be combined with ${
+          options.json ? "--json" : "--split"
+        }.`
+      );
+    }
+    if (command === "commit" && positionals.length) {
+      throw new UsageError(
+        "--retry commits the saved message; it takes no message."
+      );
+    }
+  }
+
+  return { command, options, positionals };
+};
+
+/**
+ * Picks the options that override configuration settings.
+ * `--no-cache` is shorthand for `--cache off`.
+ * @param {object} options - The parsed options.
+ * @returns {object} The configuration overrides.
+ */
+export const getConfigOverrides = (options) => ({
+  ...Object.fromEntries(
+    OPTIONS.filter((option) => option.config && option.name in options).map(
+      (option) => [option.name, options[option.name]]
+    )
+  ),
+  ...(options.noCache && { cache: "off" }),
+});
+
+/**
+ * Reads the package version from package.json.
+ * @returns {string} The version number.
+ */
+export const getVersion = () => {
+  const pkg = JSON.parse(
+    fs.readFileSync(new URL("./package.json", import.meta.url), "utf8")
+  );
+  return pkg.version;
+};
+
+/**
+ * Builds the `--help` text from the command and option definitions.
+ * @returns {string} The help text.
+ */
+export const formatHelp = () => {
+  const pad = (rows) => {
+    const width = Math.max(...rows.map(([left]) => left.length)) + 2;
+    return rows
+      .map(([left, right]) => `  ${left.padEnd(width)}${right}`)
+      .join("\n");
+  };
+
+  const commands = pad(
+    Object.values(COMMANDS).map((command) => [
+      command.usage,
+      command.description,
+    ])
+  );
+  const options = pad(
+    OPTIONS.map((option) => [
+      [option.alias, option.flag].filter(Boolean).join(", ") +
+        (option.value ? ` ${option.value}` : ""),
+      option.description,
+    ])
+  );
+
+  return `Usage: commit-enhancer [command] [options] [message...]
+
+Commands:
+${commands}
+
+Options:
+${options}
+
+Examples:
+  commit-enhancer "fix a bug in the login flow"
+  commit-enhancer -y --type fix --scope auth "handle expired tokens"
+  commit-enhancer --amend
+  commit-enhancer reword HEAD~2
+  commit-enhancer --retry --no-verify
+  commit-enhancer --provider ollama --model llama3 --dry-run
+  commit-enhancer --json "add retry logic" > suggestion.json
+  commit-enhancer stats --days 30
+  git add -A && commit-enhancer --non-interactive || echo "failed: $?"`;
+};
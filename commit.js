@@ -1,86 +1,1426 @@
 /**
  * @file This file orchestrates the main workflow of the commit-enhancer tool.
- * It coordinates calls to the git, gemini, and ui modules to guide the user
+ * It coordinates calls to the git, llm, lint, and ui modules to guide the user
  * from pre-flight checks to the final commit.
  */
 
+import fs from "fs";
 import chalk from "chalk";
 import * as git from "./services/git.js";
-import * as gemini from "./services/gemini.js";
+import * as llm from "./services/llm.js";
 import * as ui from "./ui.js";
+import * as lint from "./services/lint.js";
+import * as hook from "./services/hook.js";
+import { loadConfig } from "./services/config.js";
+import { parseMessage } from "./services/message.js";
+import {
+  CancelledError,
+  cancelOnInterrupt,
+  reportApiError,
+} from "./services/http.js";
+import * as credentials from "./services/credentials.js";
+import * as secrets from "./services/secrets.js";
+import * as split from "./services/split.js";
+import * as history from "./services/history.js";
+import * as tickets from "./services/tickets.js";
+import * as usage from "./services/usage.js";
+import { EXIT_CODES, isInteractive, readStdin } from "./services/terminal.js";
 
 /**
- * Runs the entire commit enhancement workflow from start to finish.
- * @param {string} initialMessage - The commit message passed directly via command line.
- * @param {boolean} autoConfirm - A flag to automatically accept the first AI suggestion.
+ * Tells which exit code a failed provider request ends the run with.
+ * @param {Error} error - The error thrown by the request.
+ * @returns {number} The exit code (see services/terminal.js).
  */
-export const runCommitWorkflow = async (initialMessage, autoConfirm) => {
-  // 1. Perform environment and Git repository checks.
-  if (!(await git.preflightChecks())) return;
+const apiExitCode = (error) =>
+  error instanceof CancelledError ? EXIT_CODES.CANCELLED : EXIT_CODES.API_ERROR;
+
+/**
+ * Logs a run that ended without a commit. Failures set the exit code, so a run
+ * that ends without one was cancelled by the user.
+ */
+const abortRun = () =>
+  usage.finishRun(process.exitCode ? "failed" : "cancelled");
+
+/**
+ * Ranks validated candidates: valid messages first, then those with fewer
+ * errors and warnings. Ties keep the model's order.
+ * @param {Array<{suggestion: string, violations: Array<object>}>} candidates - The candidates.
+ * @returns {Array<{suggestion: string, violations: Array<object>}>} The candidates, best first.
+ */
+const rankCandidates = (candidates) => {
+  const score = ({ violations }) => {
+    const errors = violations.filter((v) => v.level === "error").length;
+    return errors * 100 + (violations.length - errors);
+  };
+  return candidates
+    .map((candidate, index) => ({ candidate, index }))
+    .sort(
+      (a, b) => score(a.candidate) - score(b.candidate) || a.index - b.index
+    )
+    .map(({ candidate }) => candidate);
+};
+
+/**
+ * Gets candidate suggestions from the model, repairs what can be fixed locally
+ * and, while no candidate is free of lint errors, asks the model to fix the
+ * violations of the best one in a follow-up turn.
+ * @param {object} settings - The resolved provider settings, including the API key.
+ * @param {Array<{role: string, content: string}>} conversation - The conversation to send, ending with a user turn.
+ * @param {typeof lint.DEFAULT_RULES} rules - The lint rules to enforce.
+ * @param {{type?: string, scope?: string, ticket?: string, ticketPlacement?: string}} [header] - A type, scope and ticket key the message must use.
+ * @param {number} [count=1] - The number of candidates to request.
+ * @returns {Promise<Array<{suggestion: string, violations: Array<object>}>>} The distinct candidates and their remaining violations, best first.
+ * @throws {ProviderError} If a request fails (see services/http.js).
+ */
+const getValidatedSuggestions = async (
+  settings,
+  conversation,
+  rules,
+  header = {},
+  count = 1
+) => {
+  let turns = conversation;
+  for (let attempt = 0; ; attempt++) {
+    const raw = await llm.getCommitSuggestions(settings, turns, count);
+
+    // Repairing can make candidates identical, so de-duplicate again afterwards.
+    const candidates = rankCandidates(
+      llm
+        .dedupeMessages(
+          raw.map((message) =>
+            lint.repairMessage(
+              tickets.addTicket(lint.enforceHeader(message, header), header),
+              rules
+            )
+          )
+        )
+        .map((suggestion) => ({
+          suggestion,
+          violations: lint.lintMessage(suggestion, rules),
+        }))
+    );
+    const [best] = candidates;
+    if (
+      !lint.hasErrors(best.violations) ||
+      attempt >= rules.maxRepairAttempts
+    ) {
+      return candidates;
+    }
+
+    console.log(
+      chalk.yellow("The suggestion broke the commit rules. Asking again...")
+    );
+    turns = [
+      ...turns,
+      { role: "assistant", content: best.suggestion },
+      {
+        role: "user",
+        content: llm.constructRepairPrompt(
+          best.violations.filter((violation) => violation.level === "error")
+        ),
+      },
+    ];
+  }
+};
 
-  // 2. Get the API key, prompting the user if it's not found.
-  let apiKey = await git.getApiKey();
+/**
+ * Screens the text about to be sent for secrets, as set by the `secretScan`
+ * setting: the user's intent, the diff context, the message being revised and
+ * rewrite hints (see services/secrets.js). Where the user cannot be asked,
+ * "confirm" blocks the request.
+ * @param {{intent?: string, revision?: string, rewriteHint?: string, diffContext?: string}} request - The text about to be sent.
+ * @param {object} config - The effective configuration.
+ * @param {boolean} interactive - Whether the user may be asked what to do.
+ * @returns {Promise<{request: object|null, findings: Array<object>}>} The request to send (possibly redacted), or null if nothing may be sent, and the findings.
+ */
+const screenRequest = async (request, config, interactive) => {
+  if (config.secretScan === "off") return { request, findings: [] };
+  const findings = secrets.scanRequest(request, config.secretScanIgnore);
+  if (!findings.length) return { request, findings };
+
+  ui.displaySecretFindings(findings);
+  let action = config.secretScan;
+  if (action === "confirm") {
+    action = interactive ? await ui.promptForSecretAction() : "block";
+  }
+  if (action === "redact") {
+    console.log(chalk.yellow("The secrets will be redacted before sending."));
+    return {
+      request: secrets.redactRequest(request, config.secretScanIgnore),
+      findings,
+    };
+  }
+  if (action === "send") return { request, findings };
+  if (action === "block") {
+    console.log(
+      chalk.red(
+        "Nothing was sent. Use --secret-scan redact to send a redacted version."
+      )
+    );
+  } else {
+    console.log("Nothing was sent.");
+  }
+  return { request: null, findings };
+};
+
+/**
+ * Learns the repository's commit conventions from its recent history and
+ * resolves an "auto" `commitStyle` with them (see services/history.js).
+ * @param {object} config - The effective configuration.
+ * @param {string[]} files - The staged file paths.
+ * @returns {Promise<{config: object, conventions: {style: string, examples: string[], scopes: string[]}}>} The configuration with the resolved commit style, and the learned conventions.
+ */
+const learnConventions = async (config, files) => {
+  const commits = config.historySize
+    ? await git.getRecentCommits(config.historySize)
+    : [];
+  const conventions = history.analyzeHistory(commits, files, config);
+  return {
+    config: { ...config, commitStyle: conventions.style },
+    conventions,
+  };
+};
+
+/**
+ * Adds the ticket key found in the branch name (see services/tickets.js) to
+ * the header the message must use. A key placed in the scope becomes the
+ * forced scope.
+ * @param {object} config - The effective configuration, with the commit style resolved.
+ * @param {{type?: string, scope?: string}} header - The type and scope forced by the user.
+ * @returns {Promise<{type?: string, scope?: string, ticket?: string, ticketPlacement?: string}>} The header, with the ticket key if one was found.
+ */
+const addBranchTicket = async (config, header) => {
+  if (config.ticketPlacement === "off") return header;
+  const ticket = tickets.findTicket(
+    await git.getCurrentBranch(),
+    config.ticketPattern
+  );
+  if (!ticket) return header;
+  const ticketPlacement = tickets.resolvePlacement(
+    config.ticketPlacement,
+    config.commitStyle,
+    header
+  );
+  return {
+    ...header,
+    ...(ticketPlacement === "scope" && { scope: ticket }),
+    ticket,
+    ticketPlacement,
+  };
+};
+
+/**
+ * Builds the lint rules from the configuration. A forced type or scope is
+ * always allowed, even if the configuration lists others, and a ticket key
+ * from the branch name must appear in the message.
+ * @param {object} config - The effective configuration.
+ * @param {{type?: string, scope?: string, ticket?: string}} header - The type, scope and ticket key the message must use.
+ * @returns {object} The lint rules.
+ */
+const buildRules = (config, header) => ({
+  ...config,
+  ticket: header.ticket || null,
+  types: header.type ? [...config.types, header.type] : config.types,
+  scopes:
+    header.scope && config.scopes.length
+      ? [...config.scopes, header.scope]
+      : config.scopes,
+});
+
+/**
+ * Prints the effective configuration and where each setting came from.
+ * @param {object} [options] - Explicit configuration overrides from the command line.
+ */
+export const runConfigCommand = async (options = {}) => {
+  try {
+    const { config, sources } = await loadConfig(options);
+    ui.displayConfig(config, sources);
+  } catch (error) {
+    console.error(chalk.red(`Configuration error: ${error.message}`));
+    process.exitCode = EXIT_CODES.ERROR;
+  }
+};
+
+/**
+ * Runs the `stats` subcommand: summarizes the local usage log (see
+ * services/usage.js), as a report or, with `--json`, as JSON on stdout.
+ * @param {{days?: number, json?: boolean}} [options] - The parsed command-line options.
+ */
+export const runStatsCommand = (options = {}) => {
+  const file = usage.getUsageLogPath();
+  const summary = usage.summarizeUsage(usage.readUsage(file), {
+    days: options.days,
+  });
+  if (options.json) {
+    process.stdout.write(`${JSON.stringify(summary, null, 2)}\n`);
+    return;
+  }
+  ui.displayStats(summary, file, options.days);
+};
+
+/**
+ * Loads the configuration and resolves the provider for the `login` and
+ * `logout` commands.
+ * @param {object} configOverrides - Configuration overrides from the command line.
+ * @returns {Promise<{config: object, settings: object}|null>} The configuration and provider settings, or null if the configuration is invalid.
+ */
+const loadCredentialSettings = async (configOverrides) => {
+  try {
+    const { config } = await loadConfig(configOverrides);
+    return { config, settings: llm.resolveProviderSettings(config) };
+  } catch (error) {
+    console.error(chalk.red(`Configuration error: ${error.message}`));
+    process.exitCode = EXIT_CODES.ERROR;
+    return null;
+  }
+};
+
+/**
+ * Runs the `login` subcommand: asks for the provider's API key and saves it in
+ * the configured credential store. Without a terminal, the key is read from stdin.
+ * @param {object} [configOverrides] - Configuration overrides from the command line.
+ */
+export const runLoginCommand = async (configOverrides = {}) => {
+  const loaded = await loadCredentialSettings(configOverrides);
+  if (!loaded) return;
+  const { config, settings } = loaded;
+
+  const apiKey = isInteractive()
+    ? await ui.promptForApiKey(settings, false)
+    : await readStdin();
   if (!apiKey) {
-    apiKey = await ui.promptForApiKey();
-    if (!apiKey) return; // User cancelled the API key prompt.
-    const shouldSave = await ui.promptToSaveApiKey();
-    if (shouldSave) {
-      await git.saveApiKey(apiKey);
+    console.log("No API key entered. Exiting.");
+    process.exitCode = EXIT_CODES.NO_API_KEY;
+    return;
+  }
+  try {
+    await credentials.saveApiKey(settings, apiKey, config.credentialStore);
+  } catch (error) {
+    console.error(
+      chalk.red(
+        `Could not save the API key: ${credentials.redact(error.message)}`
+      )
+    );
+    process.exitCode = EXIT_CODES.ERROR;
+  }
+};
+
+/**
+ * Runs the `logout` subcommand: removes the provider's API key from the
+ * configured credential store and from the legacy git config.
+ * @param {object} [configOverrides] - Configuration overrides from the command line.
+ */
+export const runLogoutCommand = async (configOverrides = {}) => {
+  const loaded = await loadCredentialSettings(configOverrides);
+  if (!loaded) return;
+  const { config, settings } = loaded;
+
+  try {
+    if (await credentials.deleteApiKey(settings, config.credentialStore)) {
+      console.log(chalk.green(`Removed the stored ${settings.label} API key.`));
+    } else {
+      console.log(chalk.yellow(`No stored ${settings.label} API key found.`));
     }
+  } catch (error) {
+    console.error(chalk.red(`Could not remove the API key: ${error.message}`));
+    process.exitCode = EXIT_CODES.ERROR;
+    return;
   }
+  const envVar = `${settings.provider.toUpperCase()}_API_KEY`;
+  if (process.env[envVar]) {
+    console.log(
+      chalk.yellow(
+        `${envVar} is still set in your environment and will be used.`
+      )
+    );
+  }
+};
 
-  // 3. Ensure there are changes to be committed, prompting to stage if necessary.
-  if (!(await git.handleStaging())) return;
+/**
+ * The intent used when a message is generated without asking the user.
+ */
+const INFERRED_INTENT = "not provided; infer it from the staged file changes";
 
-  // 4. Get the user's initial commit intent.
-  let rawCommit = initialMessage;
-  if (!rawCommit) {
-    rawCommit = await ui.promptForInitialCommit();
+/**
+ * Fills the commit message file passed to the prepare-commit-msg hook.
+ * Runs without any prompts and never throws, so it cannot block the commit.
+ * @param {string} messageFile - The path of the commit message file.
+ * @param {string} [source] - The message source reported by git.
+ * @param {object} [configOverrides] - Configuration overrides from the command line.
+ */
+const fillHookMessage = async (messageFile, source, configOverrides = {}) => {
+  // Leave -m/-F messages, merges, squashes and amends untouched.
+  if (hook.SKIPPED_SOURCES.includes(source)) return;
+
+  const contents = fs.readFileSync(messageFile, "utf8");
+  if (hook.hasMessage(contents)) return;
+
+  let config;
+  let settings;
+  try {
+    ({ config } = await loadConfig(configOverrides));
+    settings = llm.resolveProviderSettings(config);
+  } catch (error) {
+    console.error(chalk.red(`commit-enhancer: ${error.message}`));
+    return;
   }
-  if (!rawCommit) {
-    console.log("No commit message entered. Exiting.");
+
+  const apiKey = await credentials.getApiKey(settings, config.credentialStore);
+  if (!apiKey && llm.requiresApiKey(settings)) {
+    console.error(
+      chalk.yellow(
+        `commit-enhancer: no ${settings.label} API key configured, skipping message generation.`
+      )
+    );
     return;
   }
 
-  let currentSuggestion = "";
+  const { request } = await screenRequest(
+    {
+      intent: INFERRED_INTENT,
+      diffContext: await git.getStagedDiff(config.maxDiffTokens),
+    },
+    config,
+    false
+  );
+  if (!request) return;
 
-  // 5. Start the suggestion and rewrite loop.
-  while (true) {
-    const diffContext = await git.getStagedDiff();
-    const prompt = gemini.constructPrompt(rawCommit, diffContext);
+  console.error(chalk.yellow("commit-enhancer: generating commit message..."));
+  let conventions;
+  ({ config, conventions } = await learnConventions(
+    config,
+    await git.getStagedFiles()
+  ));
+  const header = await addBranchTicket(config, {});
+  const prompt = llm.constructPrompt(
+    request.intent,
+    request.diffContext,
+    config,
+    header,
+    conventions
+  );
+  usage.startRun("hook", await git.getRepoRoot(), config);
+  const candidates = await getValidatedSuggestions(
+    { ...settings, apiKey },
+    [{ role: "user", content: prompt }],
+    buildRules(config, header),
+    header,
+    config.candidates
+  );
 
-    console.log(chalk.yellow("\n🤔 Thinking..."));
-    currentSuggestion = await gemini.getCommitSuggestion(apiKey, prompt);
+  fs.writeFileSync(
+    messageFile,
+    `${candidates[0].suggestion}\n${
+      contents.startsWith("\n") ? "" : "\n"
+    }${contents}`
+  );
+  usage.finishRun("suggested");
+};
 
-    if (!currentSuggestion) {
-      console.log(chalk.red("Could not get a suggestion. Please try again."));
+/**
+ * Runs the `hook` subcommand: installs or removes the prepare-commit-msg hook,
+ * or, when called from the hook itself, fills in the commit message.
+ * @param {'install'|'uninstall'|'run'} action - The hook action.
+ * @param {string[]} args - The remaining arguments (for `run`: message file, source, sha).
+ * @param {object} [configOverrides] - Configuration overrides from the command line.
+ */
+export const runHookCommand = async (action, args, configOverrides = {}) => {
+  if (action === "run") {
+    try {
+      await fillHookMessage(args[0], args[1], configOverrides);
+    } catch (error) {
+      usage.finishRun("failed");
+      console.error(
+        chalk.red(`commit-enhancer: ${credentials.redact(error.message)}`)
+      );
+      if (error.hint) console.error(chalk.yellow(error.hint));
+    }
+    return;
+  }
+
+  if (!(await git.preflightChecks(isInteractive(), false))) {
+    process.exitCode = EXIT_CODES.ERROR;
+    return;
+  }
+
+  try {
+    if (action === "install") {
+      const { path, status } = await hook.installHook();
+      if (status === "unchanged") {
+        console.log(chalk.yellow(`The hook is already installed in ${path}.`));
+      } else {
+        console.log(
+          chalk.green(
+            status === "created"
+              ? `Installed the ${hook.HOOK_NAME} hook in ${path}.`
+              : `Added commit-enhancer to the existing ${hook.HOOK_NAME} hook in ${path}.`
+          )
+        );
+      }
       return;
     }
 
-    ui.displaySuggestion(currentSuggestion);
+    const { path, status } = await hook.uninstallHook();
+    if (status === "missing") {
+      console.log(chalk.yellow("The commit-enhancer hook is not installed."));
+    } else {
+      console.log(
+        chalk.green(
+          status === "removed"
+            ? `Removed the ${hook.HOOK_NAME} hook from ${path}.`
+            : `Removed commit-enhancer from the ${hook.HOOK_NAME} hook in ${path}.`
+        )
+      );
+    }
+  } catch (error) {
+    console.error(chalk.red(`Error: ${error.message}`));
+    process.exitCode = EXIT_CODES.ERROR;
+  }
+};
 
-    // If in auto-confirm mode, break the loop and commit immediately.
-    if (autoConfirm) {
-      break;
+/**
+ * Generates a suggestion without any prompts and prints it, along with the
+ * provider, model, diff statistics and validation results, as a JSON object
+ * on stdout. Nothing is committed. With `--amend`, the suggestion revises the
+ * previous commit's message for the amended changes. On failure, `{ "ok": false, "error": ... }`
+ * is printed (with `errorType` and `hint` for provider errors) and the exit
+ * code is set to the one for the failure (see services/terminal.js).
+ * @param {string} initialMessage - The commit intent, or empty to infer it from the changes.
+ * @param {object} options - The parsed command-line options (see cli.js).
+ * @param {object} configOverrides - Configuration overrides from the command line.
+ */
+const runJsonWorkflow = async (initialMessage, options, configOverrides) => {
+  const fail = (error, exitCode, details = {}) => {
+    process.stdout.write(
+      `${JSON.stringify({ ok: false, error, ...details }, null, 2)}\n`
+    );
+    process.exitCode = exitCode;
+  };
+
+  if (!(await git.preflightChecks(false))) {
+    return fail("Pre-flight checks failed.", EXIT_CODES.ERROR);
+  }
+  if (options.amend && !(await git.resolveCommit("HEAD"))) {
+    return fail("There is no commit to amend yet.", EXIT_CODES.ERROR);
+  }
+
+  let config;
+  let settings;
+  try {
+    ({ config } = await loadConfig(configOverrides));
+    settings = llm.resolveProviderSettings(config);
+  } catch (error) {
+    return fail(`Configuration error: ${error.message}`, EXIT_CODES.ERROR);
+  }
+
+  const apiKey = await credentials.getApiKey(settings, config.credentialStore);
+  if (!apiKey && llm.requiresApiKey(settings)) {
+    return fail(
+      `No ${settings.label} API key configured.`,
+      EXIT_CODES.NO_API_KEY
+    );
+  }
+
+  // When amending, the changes are the whole amended commit, and the
+  // message to revise is HEAD's.
+  const stats = await git.getStagedStats(options.amend);
+  if (!stats.files.length) {
+    return fail("No staged changes.", EXIT_CODES.NO_CHANGES);
+  }
+  const revision = options.amend
+    ? { kind: "amend", message: await git.getCommitMessage("HEAD") }
+    : await getPreparedRevision();
+
+  const { request, findings } = await screenRequest(
+    {
+      intent: initialMessage || INFERRED_INTENT,
+      revision: revision?.message,
+      diffContext: options.amend
+        ? await git.getAmendDiff(config.maxDiffTokens)
+        : await git.getStagedDiff(config.maxDiffTokens),
+    },
+    config,
+    false
+  );
+  if (!request) {
+    return fail(
+      "Possible secrets found in the text about to be sent.",
+      EXIT_CODES.SECRETS_FOUND,
+      { errorType: "SecretsFound", findings }
+    );
+  }
+  let conventions;
+  ({ config, conventions } = await learnConventions(
+    config,
+    await git.getStagedFiles(options.amend)
+  ));
+  const header = await addBranchTicket(config, {
+    type: options.type,
+    scope: options.scope,
+  });
+  const prompt = llm.constructPrompt(
+    request.intent,
+    request.diffContext,
+    config,
+    header,
+    conventions
+  );
+  let candidates;
+  usage.startRun("json", await git.getRepoRoot(), config);
+  try {
+    candidates = await getValidatedSuggestions(
+      { ...settings, apiKey },
+      startConversation(
+        prompt,
+        revision && { ...revision, message: request.revision }
+      ),
+      buildRules(config, header),
+      header,
+      config.candidates
+    );
+  } catch (error) {
+    usage.finishRun("failed");
+    return fail(credentials.redact(error.message), apiExitCode(error), {
+      errorType: error.name,
+      hint: error.hint || undefined,
+    });
+  }
+
+  const toJson = ({ suggestion, violations }) => ({
+    suggestion,
+    ...parseMessage(suggestion),
+    validation: { valid: !lint.hasErrors(violations), violations },
+  });
+  const output = {
+    ok: true,
+    ...toJson(candidates[0]),
+    provider: settings.provider,
+    model: settings.model,
+    commitStyle: config.commitStyle,
+    ticket: header.ticket || null,
+    diff: stats,
+    candidates: candidates.map(toJson),
+  };
+  usage.finishRun("suggested");
+  process.stdout.write(`${JSON.stringify(output, null, 2)}\n`);
+};
+
+/**
+ * Proposes how to split the staged files into commits, as set by the
+ * `splitBy` setting. If the model's proposal fails, files are grouped by
+ * directory instead.
+ * @param {string} intent - The user's intent for the whole change set.
+ * @param {string[]} files - The staged file paths.
+ * @param {{config: object, settings: object, apiKey: string|null}} context - The effective configuration and provider settings.
+ * @returns {Promise<Array<{title: string, files: string[]}>|null>} The groups, or null if nothing may be sent.
+ */
+const proposeGroups = async (intent, files, { config, settings, apiKey }) => {
+  if (config.splitBy !== "model") return split.groupByDirectory(files);
+
+  const { request } = await screenRequest(
+    { intent, diffContext: await git.getStagedDiff(config.maxDiffTokens) },
+    config,
+    isInteractive()
+  );
+  if (!request) return null;
+  console.log(chalk.yellow("\n🤔 Grouping the changes..."));
+  try {
+    const [answer] = await cancelOnInterrupt((signal) =>
+      llm.getCommitSuggestions({ ...settings, apiKey, signal }, [
+        {
+          role: "user",
+          content: llm.constructSplitPrompt(
+            request.intent,
+            request.diffContext,
+            files
+          ),
+        },
+      ])
+    );
+    return split.parseGroupProposal(answer, files);
+  } catch (error) {
+    reportApiError(error);
+    console.log(chalk.yellow("Grouping the files by directory instead."));
+    return split.groupByDirectory(files);
+  }
+};
+
+/**
+ * Generates the message of one commit of a split, from the diff of its files only.
+ * @param {string} intent - The user's intent for the whole change set.
+ * @param {{title: string, files: string[]}} group - The group to describe.
+ * @param {{config: object, settings: object, apiKey: string|null, conventions: object}} context - The effective configuration, provider settings and learned commit conventions.
+ * @param {{type?: string, scope?: string, ticket?: string, ticketPlacement?: string}} header - A type, scope and ticket key the message must use.
+ * @returns {Promise<{suggestion: string, violations: Array<object>}|null>} The best candidate, or null if nothing may be sent.
+ * @throws {ProviderError} If a request fails (see services/http.js).
+ */
+const describeGroup = async (intent, group, context, header) => {
+  const { config, settings, apiKey, conventions } = context;
+  const { request } = await screenRequest(
+    {
+      intent: `${intent}; this commit covers one part of it: ${group.title}`,
+      diffContext: await git.getStagedDiff(config.maxDiffTokens, group.files),
+    },
+    config,
+    isInteractive()
+  );
+  if (!request) return null;
+  const [best] = await cancelOnInterrupt((signal) =>
+    getValidatedSuggestions(
+      { ...settings, apiKey, signal },
+      [
+        {
+          role: "user",
+          content: llm.constructPrompt(
+            request.intent,
+            request.diffContext,
+            config,
+            header,
+            conventions
+          ),
+        },
+      ],
+      buildRules(config, header),
+      header
+    )
+  );
+  return best;
+};
+
+/**
+ * Splits the staged changes into several commits: proposes a grouping of the
+ * files, lets the user edit it, writes a message for each group and creates
+ * the commits in order. The whole split is rolled back if any commit fails.
+ * @param {string} initialMessage - The user's intent, if given on the command line.
+ * @param {object} options - The parsed command-line options (see cli.js).
+ * @param {{config: object, settings: object, apiKey: string|null}} context - The effective configuration and provider settings.
+ */
+const runSplitWorkflow = async (initialMessage, options, context) => {
+  const intent = initialMessage || INFERRED_INTENT;
+  const files = await git.getStagedFiles();
+  if (files.length < 2) {
+    console.log(
+      chalk.yellow("Only one file is staged; there is nothing to split.")
+    );
+    return;
+  }
+  usage.startRun("split", await git.getRepoRoot(), context.config);
+
+  // 1. Agree on the grouping.
+  let groups = await proposeGroups(intent, files, context);
+  if (!groups) {
+    process.exitCode = EXIT_CODES.SECRETS_FOUND;
+    abortRun();
+    return;
+  }
+  while (!options.yes) {
+    ui.displayGroups(groups);
+    const action = await ui.promptForSplitAction(false, groups.length);
+    if (action === "accept") break;
+    if (action === "cancel") {
+      console.log("Commit cancelled.");
+      abortRun();
+      return;
+    }
+    const edited = await ui.editGroups(split.formatGroups(groups));
+    try {
+      if (edited) groups = split.parseGroups(edited, files);
+    } catch (error) {
+      console.error(chalk.red(error.message));
     }
+  }
 
-    // 6. Ask the user for the next action (commit, rewrite, or cancel).
-    const action = await ui.promptForAction();
+  // 2. Write a message for each group, in the style of the repository.
+  const learned = await learnConventions(context.config, files);
+  context = { ...context, ...learned };
+  const header = await addBranchTicket(context.config, {
+    type: options.type,
+    scope: options.scope,
+  });
+  const rules = buildRules(context.config, header);
+  for (const [index, group] of groups.entries()) {
+    console.log(
+      chalk.yellow(
+        `\n🤔 Writing message ${index + 1} of ${
+          groups.length
+        }... (press Ctrl+C to cancel)`
+      )
+    );
+    try {
+      const best = await describeGroup(intent, group, context, header);
+      if (!best) {
+        process.exitCode = EXIT_CODES.SECRETS_FOUND;
+        abortRun();
+        return;
+      }
+      group.message = best.suggestion;
+      group.violations = best.violations;
+    } catch (error) {
+      reportApiError(error);
+      process.exitCode = apiExitCode(error);
+      abortRun();
+      return;
+    }
+  }
 
-    if (action === "commit") break;
+  // 3. Review the messages, then create the commits.
+  while (true) {
+    ui.displayGroups(groups);
+    const invalid = groups.filter(({ violations }) =>
+      lint.hasErrors(violations)
+    );
+    if (options.yes) {
+      if (invalid.length) {
+        console.log(
+          chalk.red("Some messages do not follow the commit rules. Aborting.")
+        );
+        process.exitCode = EXIT_CODES.VALIDATION_FAILED;
+        abortRun();
+        return;
+      }
+      break;
+    }
+    const action = await ui.promptForSplitAction(true, groups.length);
+    if (action === "accept") break;
     if (action === "cancel") {
       console.log("Commit cancelled.");
+      abortRun();
       return;
     }
+    const group = groups[await ui.promptForGroup(groups)];
+    const edited = await ui.editMessage(group.message);
+    if (edited) {
+      group.message = edited;
+      group.violations = lint.lintMessage(edited, rules);
+    } else {
+      console.log(
+        chalk.yellow("The edited message was empty. Keeping the previous one.")
+      );
+    }
+  }
+
+  if (options.dryRun) {
+    console.log(chalk.yellow("\nDry run: no commit was created."));
+    usage.finishRun("suggested");
+    return;
+  }
+  if (await git.commitInGroups(groups, commitFlags(options))) {
+    console.log(chalk.green(`\n✅ Created ${groups.length} commits.`));
+    usage.finishRun("committed", groups.length);
+  } else {
+    process.exitCode = EXIT_CODES.COMMIT_FAILED;
+    usage.finishRun("failed");
+  }
+};
+
+/**
+ * Loads the configuration, resolves the model provider and gets its API key,
+ * prompting the user if it's not found and there is a terminal to ask on.
+ * @param {object} configOverrides - Configuration overrides from the command line (see services/config.js).
+ * @returns {Promise<{config: object, settings: object, apiKey: string|null}|null>} The configuration and provider settings, or null if the configuration is invalid or the user cancelled.
+ */
+const loadProvider = async (configOverrides) => {
+  let config;
+  let settings;
+  try {
+    ({ config } = await loadConfig(configOverrides));
+    settings = llm.resolveProviderSettings(config);
+  } catch (error) {
+    console.error(chalk.red(`Configuration error: ${error.message}`));
+    process.exitCode = EXIT_CODES.ERROR;
+    return null;
+  }
+  let apiKey = await credentials.getApiKey(settings, config.credentialStore);
+  if (!apiKey && llm.requiresApiKey(settings)) {
+    if (!isInteractive()) {
+      console.error(
+        chalk.red(
+          `Error: No ${
+            settings.label
+          } API key configured. Set ${settings.provider.toUpperCase()}_API_KEY or run \`commit-enhancer login\`.`
+        )
+      );
+      process.exitCode = EXIT_CODES.NO_API_KEY;
+      return null;
+    }
+    apiKey = await ui.promptForApiKey(settings);
+    if (!apiKey) return null; // User cancelled the API key prompt.
+    const shouldSave = await ui.promptToSaveApiKey();
+    if (shouldSave) {
+      await credentials.saveApiKey(settings, apiKey, config.credentialStore);
+    }
+  }
+  return { config, settings, apiKey };
+};
+
+/**
+ * Runs the suggestion, edit and rewrite loop until the user settles on a message.
+ * @param {Array<{role: string, content: string}>} conversation - The initial conversation, ending with a user turn.
+ * @param {{config: object, settings: object, apiKey: string|null}} context - The effective configuration and provider settings.
+ * @param {{type?: string, scope?: string, ticket?: string, ticketPlacement?: string}} header - A type, scope and ticket key the message must use.
+ * @param {{yes?: boolean}} options - The parsed command-line options (see cli.js).
+ * @returns {Promise<string|null>} The chosen message, or null if the user cancelled or no suggestion could be generated (the exit code is set).
+ */
+const chooseMessage = async (conversation, context, header, options) => {
+  const { config, settings, apiKey } = context;
+  const rules = buildRules(config, header);
+
+  // Each rewrite adds a round holding the conversation sent to the model and
+  // the candidates it returned, so undo can go back to the previous round.
+  const rounds = [];
+  let pending = conversation;
+  while (true) {
+    if (pending) {
+      console.log(chalk.yellow("\n🤔 Thinking... (press Ctrl+C to cancel)"));
+      const request = pending;
+      // A rewrite asks for a new answer, so a cached one is not reused.
+      const cache = rounds.length
+        ? { ...settings.cache, refresh: true }
+        : settings.cache;
+      pending = null;
+      try {
+        const candidates = await cancelOnInterrupt((signal) =>
+          getValidatedSuggestions(
+            { ...settings, apiKey, signal, cache },
+            request,
+            rules,
+            header,
+            config.candidates
+          )
+        );
+        rounds.push({ conversation: request, candidates, current: 0 });
+      } catch (error) {
+        reportApiError(error);
+        if (!rounds.length) {
+          process.exitCode = apiExitCode(error);
+          return null;
+        }
+        console.log(chalk.yellow("Keeping the previous suggestion."));
+      }
+    }
+    const round = rounds[rounds.length - 1];
+    const { candidates, current } = round;
+    const { suggestion, violations } = candidates[current];
+    const isValid = !lint.hasErrors(violations);
+
+    ui.displaySuggestion(
+      suggestion,
+      settings.label,
+      candidates.length > 1
+        ? { index: current, total: candidates.length }
+        : undefined
+    );
+    ui.displayViolations(violations);
+
+    // In auto-confirm mode, take the best candidate immediately, unless it
+    // still breaks the commit rules.
+    if (options.yes) {
+      if (!isValid) {
+        console.log(
+          chalk.red(
+            "The suggestion does not follow the commit rules. Aborting."
+          )
+        );
+        process.exitCode = EXIT_CODES.VALIDATION_FAILED;
+        return null;
+      }
+      return suggestion;
+    }
+
+    // Ask the user for the next action (commit, pick another candidate,
+    // edit, rewrite, undo, or cancel).
+    const action = await ui.promptForAction(
+      isValid,
+      candidates,
+      current,
+      rounds.length > 1
+    );
+
+    if (typeof action === "number") {
+      round.current = action;
+      continue;
+    }
+    if (action === "commit") return suggestion;
+    if (action === "cancel") {
+      console.log("Commit cancelled.");
+      return null;
+    }
+    if (action === "undo") {
+      rounds.pop();
+    }
+    if (action === "edit") {
+      const edited = await ui.editMessage(suggestion);
+      if (edited) {
+        usage.count("edits");
+        // The user's wording is kept as-is; it is only checked, not repaired.
+        candidates[current] = {
+          suggestion: edited,
+          violations: lint.lintMessage(edited, rules),
+        };
+      } else {
+        console.log(
+          chalk.yellow(
+            "The edited message was empty. Keeping the previous one."
+          )
+        );
+      }
+    }
     if (action === "rewrite") {
-      const rewriteHint = await ui.promptForRewriteHint();
-      // Prepare the next prompt for the AI, asking it to rewrite the message.
-      rawCommit = `Rewrite the following commit message${
-        rewriteHint ? ` to be ${rewriteHint}` : ""
-      }: "${currentSuggestion}"`;
+      usage.count("rewrites");
+      const { request } = await screenRequest(
+        { rewriteHint: await ui.promptForRewriteHint() },
+        config,
+        true
+      );
+      if (!request) {
+        console.log(chalk.yellow("Keeping the previous suggestion."));
+        continue;
+      }
+      // Continue the conversation so the model still sees the original intent
+      // and diff. An edited message is sent as the model's last answer, so the
+      // rewrite starts from the user's wording.
+      pending = [
+        ...round.conversation,
+        { role: "assistant", content: suggestion },
+        {
+          role: "user",
+          content: llm.constructRewritePrompt(request.rewriteHint),
+        },
+      ];
+    }
+  }
+};
+
+/**
+ * Builds the conversation that starts the suggestion loop. When an existing
+ * message is revised, it follows the prompt as the model's previous answer,
+ * with a request to update it.
+ * @param {string} prompt - The prompt built by `llm.constructPrompt`.
+ * @param {{kind: 'amend'|'reword'|'merge'|'cherry-pick'|'revert', message: string}} [revision] - The message being revised, if any.
+ * @returns {Array<{role: string, content: string}>} The conversation.
+ */
+const startConversation = (prompt, revision) => [
+  { role: "user", content: prompt },
+  ...(revision
+    ? [
+        { role: "assistant", content: revision.message },
+        { role: "user", content: llm.constructRevisionPrompt(revision.kind) },
+      ]
+    : []),
+];
+
+/**
+ * Gets the message git prepared for the merge, cherry-pick or revert in
+ * progress, for the model to revise like the message of an amended commit.
+ * @returns {Promise<{kind: 'merge'|'cherry-pick'|'revert', message: string}|undefined>} The message to revise, or undefined if there is none.
+ */
+const getPreparedRevision = async () => {
+  const operation = await git.getInProgressOperation();
+  return operation?.message
+    ? { kind: operation.kind, message: operation.message }
+    : undefined;
+};
+
+/**
+ * Picks the options that are passed on to `git commit`.
+ * @param {object} options - The parsed command-line options (see cli.js).
+ * @returns {{noVerify?: boolean, sign?: boolean, signoff?: boolean, author?: string}} The flags for `git.performCommit`.
+ */
+const commitFlags = ({ noVerify, sign, signoff, author }) => ({
+  noVerify,
+  sign,
+  signoff,
+  author,
+});
+
+/**
+ * Commits the message, telling the user how to retry if git refuses it.
+ * @param {string} message - The commit message.
+ * @param {object} options - The parsed command-line options (see cli.js).
+ * @returns {Promise<boolean>} True if the commit was created; otherwise the exit code is set.
+ */
+const commitMessage = async (message, options) => {
+  if (
+    await git.performCommit(message, {
+      amend: options.amend,
+      ...commitFlags(options),
+    })
+  ) {
+    return true;
+  }
+  const file = await git.getSavedMessagePath();
+  const amend = options.amend ? " --amend" : "";
+  // Quote the path for the shell when it holds anything but plain characters.
+  const quoted = /^[\w@%+=:,./-]+$/.test(file)
+    ? file
+    : `'${file.replace(/'/g, "'\\''")}'`;
+  console.error(
+    chalk.yellow(
+      `The message was saved to ${file}. Once the problem is fixed, run \`commit-enhancer --retry${amend}\` to commit it without asking the model again, or commit it yourself with \`git commit${amend} -F ${quoted}\`.`
+    )
+  );
+  process.exitCode = EXIT_CODES.COMMIT_FAILED;
+  return false;
+};
+
+/**
+ * Runs `--retry`: commits the message a failed commit saved, with the staged
+ * changes and without calling the model.
+ * @param {object} options - The parsed command-line options (see cli.js).
+ * @param {object} configOverrides - Configuration overrides from the command line.
+ * @param {boolean} interactive - Whether the user may be prompted to stage changes.
+ */
+const retryCommit = async (options, configOverrides, interactive) => {
+  const message = await git.readSavedMessage();
+  if (!message) {
+    console.error(
+      chalk.red("Error: There is no saved message from a failed commit.")
+    );
+    process.exitCode = EXIT_CODES.ERROR;
+    return;
+  }
+  let config;
+  try {
+    ({ config } = await loadConfig(configOverrides));
+  } catch (error) {
+    console.error(chalk.red(`Configuration error: ${error.message}`));
+    process.exitCode = EXIT_CODES.ERROR;
+    return;
+  }
+  if (
+    !options.amend &&
+    !(await git.handleStaging(config.staging, interactive))
+  ) {
+    process.exitCode = EXIT_CODES.NO_CHANGES;
+    return;
+  }
+  if (options.amend) await checkPushed("HEAD");
+
+  console.log(chalk.cyan("Committing the saved message:"));
+  console.log(message);
+  if (options.dryRun) {
+    console.log(chalk.yellow("\nDry run: no commit was created."));
+    return;
+  }
+  await commitMessage(message, options);
+};
+
+/**
+ * Warns when a commit about to be rewritten was already pushed.
+ * @param {string} rev - The commit.
+ * @returns {Promise<string[]>} The remote-tracking branches containing it.
+ */
+const checkPushed = async (rev) => {
+  const remotes = await git.getRemoteBranchesContaining(rev);
+  if (remotes.length) {
+    console.log(
+      chalk.yellow(
+        `Warning: this commit is already on ${remotes.join(
+          ", "
+        )}; rewriting it changes published history.`
+      )
+    );
+  }
+  return remotes;
+};
+
+/**
+ * Runs the entire commit enhancement workflow from start to finish.
+ * @param {string} initialMessage - The commit message passed directly via command line.
+ * @param {object} [options] - The parsed command-line options (see cli.js).
+ * @param {boolean} [options.yes] - Automatically accept the first valid AI suggestion; implied without a terminal.
+ * @param {boolean} [options.dryRun] - Print the final message instead of committing.
+ * @param {boolean} [options.json] - Print the suggestion and its metadata as JSON, without prompts or committing.
+ * @param {string} [options.type] - A commit type the message must use.
+ * @param {string} [options.scope] - A commit scope the message must use.
+ * @param {boolean} [options.amend] - Amend the previous commit, revising its message for the amended changes.
+ * @param {boolean} [options.split] - Split the staged changes into several commits.
+ * @param {boolean} [options.noVerify] - Skip the commit hooks.
+ * @param {boolean} [options.sign] - Sign the commit.
+ * @param {boolean} [options.signoff] - Add a Signed-off-by trailer.
+ * @param {string} [options.author] - Override the commit author.
+ * @param {boolean} [options.retry] - Commit the message saved by a failed commit instead of asking the model.
+ * @param {object} [configOverrides] - Configuration overrides from the command line (see services/config.js).
+ */
+export const runCommitWorkflow = async (
+  initialMessage,
+  options = {},
+  configOverrides = {}
+) => {
+  if (options.json) {
+    await runJsonWorkflow(initialMessage, options, configOverrides);
+    return;
+  }
+
+  // Without a terminal nothing can be asked, so the best valid suggestion is taken.
+  const interactive = isInteractive();
+  if (!interactive) options = { ...options, yes: true };
+
+  // 1. Perform environment and Git repository checks.
+  if (!(await git.preflightChecks(interactive))) {
+    process.exitCode = EXIT_CODES.ERROR;
+    return;
+  }
+  if (options.amend && !(await git.resolveCommit("HEAD"))) {
+    console.error(chalk.red("Error: There is no commit to amend yet."));
+    process.exitCode = EXIT_CODES.ERROR;
+    return;
+  }
+  if (options.retry) {
+    await retryCommit(options, configOverrides, interactive);
+    return;
+  }
+
+  // 2. Load the configuration, resolve the model provider and get its API key.
+  const context = await loadProvider(configOverrides);
+  if (!context) return;
+  let { config } = context;
+
+  // 3. Ensure there are changes to be committed, prompting to stage if
+  //    necessary. Amending may only change the message, so it needs none.
+  if (
+    !options.amend &&
+    !(await git.handleStaging(config.staging, interactive))
+  ) {
+    process.exitCode = EXIT_CODES.NO_CHANGES;
+    return;
+  }
+  if (options.split) {
+    await runSplitWorkflow(initialMessage, options, context);
+    return;
+  }
+
+  // 4. Get the user's initial commit intent. When amending, or concluding a
+  //    merge, cherry-pick or revert, the message that is already there says
+  //    what the commit is about, so the intent is optional.
+  let rawCommit = initialMessage;
+  let revision;
+  if (options.amend) {
+    await checkPushed("HEAD");
+    revision = { kind: "amend", message: await git.getCommitMessage("HEAD") };
+  } else {
+    revision = await getPreparedRevision();
+  }
+  if (revision) rawCommit = rawCommit || INFERRED_INTENT;
+  if (!rawCommit) {
+    rawCommit = interactive
+      ? await ui.promptForInitialCommit()
+      : INFERRED_INTENT;
+  }
+  if (!rawCommit) {
+    console.log("No commit message entered. Exiting.");
+    return;
+  }
+
+  const { request } = await screenRequest(
+    {
+      intent: rawCommit,
+      revision: revision?.message,
+      diffContext: options.amend
+        ? await git.getAmendDiff(config.maxDiffTokens)
+        : await git.getStagedDiff(config.maxDiffTokens),
+    },
+    config,
+    interactive
+  );
+  if (!request) {
+    process.exitCode = EXIT_CODES.SECRETS_FOUND;
+    return;
+  }
+  let conventions;
+  ({ config, conventions } = await learnConventions(
+    config,
+    await git.getStagedFiles(options.amend)
+  ));
+  const header = await addBranchTicket(config, {
+    type: options.type,
+    scope: options.scope,
+  });
+  if (header.ticket) {
+    console.log(
+      chalk.cyan(`Referencing ${header.ticket} from the branch name.`)
+    );
+  }
+
+  // 5. Start the suggestion, edit and rewrite loop.
+  usage.startRun(
+    options.amend ? "amend" : "commit",
+    await git.getRepoRoot(),
+    config
+  );
+  const message = await chooseMessage(
+    startConversation(
+      llm.constructPrompt(
+        request.intent,
+        request.diffContext,
+        config,
+        header,
+        conventions
+      ),
+      revision && { ...revision, message: request.revision }
+    ),
+    { ...context, config },
+    header,
+    options
+  );
+  if (!message) return abortRun();
+
+  // 6. Perform the final git commit, or just report the message in dry-run mode.
+  if (options.dryRun) {
+    console.log(chalk.yellow("\nDry run: no commit was created."));
+    usage.finishRun("suggested");
+    return;
+  }
+  const committed = await commitMessage(message, options);
+  usage.finishRun(committed ? "committed" : "failed");
+};
+
+/**
+ * Runs the `reword` subcommand: proposes a better message for an existing
+ * commit on the current branch and rewrites the commit with it. Commits that
+ * were already pushed, or whose rewrite would drop signatures, are refused
+ * unless `--force` is given.
+ * @param {string} rev - The commit to reword (e.g. "HEAD~2").
+ * @param {string} hint - What the commit is about, if given on the command line.
+ * @param {object} [options] - The parsed command-line options (see cli.js).
+ * @param {boolean} [options.force] - Reword a commit that was already pushed, or drop signatures.
+ * @param {object} [configOverrides] - Configuration overrides from the command line (see services/config.js).
+ */
+export const runRewordCommand = async (
+  rev,
+  hint,
+  options = {},
+  configOverrides = {}
+) => {
+  const interactive = isInteractive();
+  if (!interactive) options = { ...options, yes: true };
+  if (!(await git.preflightChecks(false, false))) {
+    process.exitCode = EXIT_CODES.ERROR;
+    return;
+  }
+  // Rewriting history under a merge, rebase or bisect would pull it out from
+  // under the operation.
+  const operation = await git.getInProgressOperation();
+  if (operation) {
+    console.error(
+      chalk.red(
+        `Error: \`git ${operation.kind}\` is in progress. Finish or abort it before rewording.`
+      )
+    );
+    process.exitCode = EXIT_CODES.ERROR;
+    return;
+  }
+
+  const commit = await git.resolveCommit(rev);
+  if (!commit) {
+    console.error(chalk.red(`Error: "${rev}" does not name a commit.`));
+    process.exitCode = EXIT_CODES.ERROR;
+    return;
+  }
+  if (!(await git.isOnCurrentBranch(commit))) {
+    console.error(
+      chalk.red(`Error: ${rev} is not part of the current branch.`)
+    );
+    process.exitCode = EXIT_CODES.ERROR;
+    return;
+  }
+  if ((await checkPushed(commit)).length && !options.force) {
+    console.error(
+      chalk.red("Nothing was changed. Use --force to reword it anyway.")
+    );
+    process.exitCode = EXIT_CODES.ERROR;
+    return;
+  }
+  // Recreated commits are not signed again, so their signatures would be lost.
+  const signed = await git.getSignedCommits(commit);
+  if (signed.length) {
+    console.log(
+      chalk.yellow(
+        `Warning: ${signed.length} of the commits to rewrite ${
+          signed.length === 1 ? "is" : "are"
+        } signed (${signed
+          .map((hash) => hash.slice(0, 7))
+          .join(", ")}); rewording drops the signatures.`
+      )
+    );
+    if (!options.force) {
+      console.error(
+        chalk.red("Nothing was changed. Use --force to reword anyway.")
+      );
+      process.exitCode = EXIT_CODES.ERROR;
+      return;
     }
   }
 
-  // 7. Perform the final git commit.
-  await git.performCommit(currentSuggestion);
+  const context = await loadProvider(configOverrides);
+  if (!context) return;
+  let { config } = context;
+
+  const previous = await git.getCommitMessage(commit);
+  const { request } = await screenRequest(
+    {
+      intent: hint || INFERRED_INTENT,
+      revision: previous,
+      diffContext: await git.getCommitDiff(commit, config.maxDiffTokens),
+    },
+    config,
+    interactive
+  );
+  if (!request) {
+    process.exitCode = EXIT_CODES.SECRETS_FOUND;
+    return;
+  }
+  let conventions;
+  ({ config, conventions } = await learnConventions(
+    config,
+    await git.getCommitFiles(commit)
+  ));
+  // The branch's ticket key is not added: the commit may predate the branch.
+  const header = { type: options.type, scope: options.scope };
+
+  usage.startRun("reword", await git.getRepoRoot(), config);
+  const message = await chooseMessage(
+    startConversation(
+      llm.constructPrompt(
+        request.intent,
+        request.diffContext,
+        config,
+        header,
+        conventions
+      ),
+      { kind: "reword", message: request.revision }
+    ),
+    { ...context, config },
+    header,
+    options
+  );
+  if (!message) return abortRun();
+  if (message === previous) {
+    console.log(chalk.yellow("The message is unchanged. Nothing to do."));
+    usage.finishRun("cancelled");
+    return;
+  }
+  if (options.dryRun) {
+    console.log(chalk.yellow("\nDry run: the commit was not rewritten."));
+    usage.finishRun("suggested");
+    return;
+  }
+
+  try {
+    const count = await git.rewordCommit(commit, message);
+    console.log(
+      chalk.green(
+        `\n✅ Reworded ${rev}${
+          count > 1 ? ` and rewrote the ${count - 1} commit(s) after it` : ""
+        }.`
+      )
+    );
+    console.log(chalk.gray("The previous history is saved as ORIG_HEAD."));
+    usage.finishRun("committed");
+  } catch (error) {
+    console.error(chalk.red("Error rewording the commit:"));
+    console.error(error.stderr || error.message);
+    process.exitCode = EXIT_CODES.COMMIT_FAILED;
+    usage.finishRun("failed");
+  }
 };
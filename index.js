@@ -1,33 +1,120 @@
 #!/usr/bin/env node
 /**
  * @file The main entry point for the commit-enhancer CLI tool.
- * This file is responsible for parsing command-line arguments and initiating
- * the main commit workflow.
+ * This file is responsible for parsing command-line arguments and dispatching
+ * to the requested subcommand.
  */
 
 import chalk from "chalk";
-import { runCommitWorkflow } from "./commit.js";
+import {
+  runCommitWorkflow,
+  runConfigCommand,
+  runHookCommand,
+  runLoginCommand,
+  runLogoutCommand,
+  runRewordCommand,
+  runStatsCommand,
+} from "./commit.js";
+import { redact } from "./services/credentials.js";
+import {
+  EXIT_CODES,
+  PromptError,
+  isInteractive,
+  setInteractive,
+} from "./services/terminal.js";
+import {
+  UsageError,
+  formatHelp,
+  getConfigOverrides,
+  getVersion,
+  parseArgs,
+} from "./cli.js";
 
 /**
  * The main function that orchestrates the CLI tool.
  */
 const main = async () => {
   // Parse command-line arguments, ignoring the first two (node executable and script path).
-  const args = process.argv.slice(2);
+  const { command, options, positionals } = parseArgs(process.argv.slice(2));
 
-  // Check for the auto-confirm flag (-y or /y).
-  const autoConfirm = args.includes("-y") || args.includes("/y");
+  if (options.help) {
+    console.log(formatHelp());
+    return;
+  }
+  if (options.version) {
+    console.log(getVersion());
+    return;
+  }
 
-  // Join all non-flag arguments to form the initial commit message.
-  const commitMessage = args.filter((arg) => !arg.startsWith("-")).join(" ");
+  // In JSON mode stdout is reserved for the JSON document, so all the
+  // human-readable progress and error messages are sent to stderr instead.
+  if (options.json) {
+    console.log = console.error;
+  }
+
+  // Without a terminal the output usually ends up in a log file, where
+  // colour codes are noise.
+  if (options.nonInteractive) {
+    setInteractive(false);
+  }
+  if (!isInteractive()) {
+    chalk.level = 0;
+  }
+
+  const configOverrides = getConfigOverrides(options);
+
+  if (command === "config") {
+    await runConfigCommand(configOverrides);
+    return;
+  }
+
+  if (command === "stats") {
+    runStatsCommand(options);
+    return;
+  }
+
+  if (command === "login") {
+    await runLoginCommand(configOverrides);
+    return;
+  }
+
+  if (command === "logout") {
+    await runLogoutCommand(configOverrides);
+    return;
+  }
+
+  if (command === "hook") {
+    const [action, ...hookArgs] = positionals;
+    await runHookCommand(action, hookArgs, configOverrides);
+    return;
+  }
+
+  if (command === "reword") {
+    const [rev, ...hint] = positionals;
+    await runRewordCommand(rev, hint.join(" "), options, configOverrides);
+    return;
+  }
+
+  // Join all remaining arguments to form the initial commit message.
+  const commitMessage = positionals.join(" ");
 
   // Start the main application workflow.
-  await runCommitWorkflow(commitMessage, autoConfirm);
+  await runCommitWorkflow(commitMessage, options, configOverrides);
 };
 
 // Execute the main function and handle any top-level errors.
 main().catch((err) => {
+  if (err instanceof UsageError) {
+    console.error(chalk.red(`Error: ${err.message}`));
+    console.error("Run 'commit-enhancer --help' for usage.");
+    process.exit(EXIT_CODES.USAGE);
+  }
+  if (err instanceof PromptError) {
+    console.error(chalk.red(`Error: ${err.message}`));
+    process.exit(EXIT_CODES.ERROR);
+  }
   console.error(chalk.red("\nAn unexpected error occurred:"));
-  console.error(err);
-  process.exit(1);
+  // The error may carry request details, so make sure no API key is printed.
+  console.error(redact((err && err.stack) || err));
+  process.exit(EXIT_CODES.ERROR);
 });
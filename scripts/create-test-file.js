@@ -6,8 +6,10 @@
 import fs from "fs";
 import path from "path";
 
+// A fixed timestamp keeps the diff, and so the request, the same across runs,
+// which replaying recorded responses relies on.
 const data = {
-  lastTestRun: new Date().toISOString(),
+  lastTestRun: process.env.TEST_RUN_TIMESTAMP || new Date().toISOString(),
   message: "This file is automatically generated by the test runner.",
 };
 
@@ -1,6 +1,60 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
 import execa from "execa";
 import chalk from "chalk";
 
+/** Where `--record` stores the provider's responses and `--replay` reads them. */
+const RECORDINGS_DIR = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "recordings"
+);
+
+/** The timestamp written to testing.json when recording or replaying. */
+const FIXED_TIMESTAMP = "2025-01-01T00:00:00.000Z";
+
+/**
+ * Adds git config entries to an environment through `GIT_CONFIG_COUNT`,
+ * keeping any entries already set there.
+ * @param {object} env - The environment.
+ * @param {Object<string, string>} entries - The config keys and values.
+ * @returns {object} The new environment.
+ */
+const withGitConfig = (env, entries) => {
+  const result = { ...env };
+  let count = Number(env.GIT_CONFIG_COUNT) || 0;
+  for (const [key, value] of Object.entries(entries)) {
+    result[`GIT_CONFIG_KEY_${count}`] = key;
+    result[`GIT_CONFIG_VALUE_${count}`] = value;
+    count++;
+  }
+  result.GIT_CONFIG_COUNT = String(count);
+  return result;
+};
+
+/**
+ * Builds the environment for the tool. With `--record` or `--replay`, the
+ * request is made independent of the repository's history and branch, so the
+ * recorded responses keep matching it.
+ * @param {'record'|'replay'|undefined} mode - The cache mode, if any.
+ * @returns {object} The environment.
+ */
+const getTestEnv = (mode) => {
+  if (!mode) return process.env;
+  return withGitConfig(
+    {
+      ...process.env,
+      COMMIT_ENHANCER_CACHE: mode,
+      COMMIT_ENHANCER_CACHE_DIR: RECORDINGS_DIR,
+      TEST_RUN_TIMESTAMP: FIXED_TIMESTAMP,
+    },
+    {
+      "commit-enhancer.historysize": "0",
+      "commit-enhancer.ticketplacement": "off",
+    }
+  );
+};
+
 /**
  * The main test execution function.
  */
@@ -8,9 +62,17 @@ const run = async () => {
   console.log(chalk.blue.bold("--- E2E Test Report for commit-enhancer ---\n"));
   const originalHead = await getHead();
   const initialTestMessage = "chore: update test file with new timestamp";
+  const mode = ["record", "replay"].find((name) =>
+    process.argv.includes(`--${name}`)
+  );
+  const env = getTestEnv(mode);
+  if (mode) {
+    console.log(chalk.gray(`Cache mode: ${mode} (${RECORDINGS_DIR})\n`));
+  }
 
-  // In a CI environment, the API key must be set as an environment variable.
-  if (process.env.CI && !process.env.GEMINI_API_KEY) {
+  // In a CI environment, the API key must be set as an environment variable,
+  // unless the recorded responses are replayed.
+  if (process.env.CI && !process.env.GEMINI_API_KEY && mode !== "replay") {
     console.error(
       chalk.red(
         "Error: GEMINI_API_KEY environment variable not set in CI environment."
@@ -19,10 +81,20 @@ const run = async () => {
     process.exit(1);
   }
 
+  // Replaying needs responses recorded beforehand; nothing would match without them.
+  if (mode === "replay" && !hasRecordings()) {
+    console.error(
+      chalk.red(
+        `Error: no recorded responses in ${RECORDINGS_DIR}. Run \`npm run test:e2e:record\` with GEMINI_API_KEY set first, and commit scripts/recordings/.`
+      )
+    );
+    process.exit(1);
+  }
+
   try {
     // --- Step 1: Create a file change ---
     console.log(chalk.cyan("1. Creating a test file change..."));
-    await execa("node", ["./scripts/create-test-file.js"]);
+    await execa("node", ["./scripts/create-test-file.js"], { env });
     console.log(chalk.green("   ✓ File `testing.json` created/updated.\n"));
 
     // --- Step 2: Stage the change ---
@@ -44,7 +116,7 @@ const run = async () => {
       {
         // FIX: Pass parent process environment variables to the child process.
         // This ensures the GEMINI_API_KEY from GitHub Secrets is available to the tool.
-        env: process.env,
+        env,
       }
     );
 
@@ -97,6 +169,14 @@ const run = async () => {
   console.log(chalk.green.bold("--- ✅ All Tests Passed Successfully! ---"));
 };
 
+/**
+ * Checks whether any response was recorded.
+ * @returns {boolean} True if the recordings directory holds a cache entry.
+ */
+const hasRecordings = () =>
+  fs.existsSync(RECORDINGS_DIR) &&
+  fs.readdirSync(RECORDINGS_DIR).some((name) => name.endsWith(".json"));
+
 /**
  * Gets the hash of the current HEAD commit.
  * @returns {Promise<string|null>} The commit hash, or null if there are no commits.
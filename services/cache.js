@@ -0,0 +1,169 @@
+/**
+ * @file This module keeps provider responses on disk, keyed by a hash of the
+ * request (provider, model, base URL, candidate count and the conversation),
+ * so an identical request is answered without calling the provider again.
+ * Entries expire after `cacheTtl` seconds, and the least recently used are
+ * removed once the directory grows past `cacheMaxSize` megabytes.
+ *
+ * The `cache` setting picks the mode:
+ *   - "on": reuse fresh entries and store new responses,
+ *   - "off": always call the provider and store nothing,
+ *   - "record": always call the provider and store every response, never expiring or evicting them,
+ *   - "replay": answer only from stored responses, never calling the provider.
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import chalk from "chalk";
+import { ProviderError } from "./http.js";
+
+/** Bumped whenever the key or entry format changes, so old entries are ignored. */
+const CACHE_VERSION = 1;
+
+/** No stored response matches a request made in "replay" mode. */
+export class CacheMissError extends ProviderError {}
+
+/**
+ * Returns the default cache directory,
+ * `$XDG_CACHE_HOME/commit-enhancer` (or `~/.cache/commit-enhancer`).
+ * @returns {string} The directory path.
+ */
+export const getCacheDir = () =>
+  path.join(
+    process.env.XDG_CACHE_HOME || path.join(os.homedir(), ".cache"),
+    "commit-enhancer"
+  );
+
+/**
+ * Computes the key of a request. The API key, timeout and retries do not
+ * change the answer, so they are left out.
+ * @param {{provider: string, model: string, baseUrl: string}} settings - The resolved provider settings.
+ * @param {Array<{role: string, content: string}>} messages - The conversation.
+ * @param {number} count - The number of candidates requested.
+ * @returns {string} The key, a hex SHA-256 digest.
+ */
+export const getCacheKey = ({ provider, model, baseUrl }, messages, count) =>
+  crypto
+    .createHash("sha256")
+    .update(
+      JSON.stringify([CACHE_VERSION, provider, model, baseUrl, count, messages])
+    )
+    .digest("hex");
+
+/**
+ * Reads a stored entry.
+ * @param {string} file - The entry's path.
+ * @returns {{createdAt: number, suggestions: string[]}|null} The entry, or null if it is missing or unreadable.
+ */
+const readEntry = (file) => {
+  try {
+    const entry = JSON.parse(fs.readFileSync(file, "utf8"));
+    return Array.isArray(entry.suggestions) ? entry : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Removes expired entries, then the least recently used ones until the
+ * directory fits in the size limit.
+ * @param {string} dir - The cache directory.
+ * @param {number} ttl - How long entries stay fresh, in seconds.
+ * @param {number} maxSize - The size limit, in megabytes.
+ */
+const prune = (dir, ttl, maxSize) => {
+  const now = Date.now();
+  const entries = fs
+    .readdirSync(dir)
+    .filter((name) => name.endsWith(".json"))
+    .map((name) => {
+      const file = path.join(dir, name);
+      const { size, mtimeMs } = fs.statSync(file);
+      return { file, size, mtimeMs };
+    })
+    .sort((a, b) => a.mtimeMs - b.mtimeMs);
+
+  let total = entries.reduce((sum, { size }) => sum + size, 0);
+  for (const { file, size, mtimeMs } of entries) {
+    if (now - mtimeMs < ttl * 1000 && total <= maxSize * 1024 * 1024) break;
+    fs.rmSync(file, { force: true });
+    total -= size;
+  }
+};
+
+/**
+ * Stores a response. The cache is only an optimization, so failing to write
+ * it is not an error.
+ * @param {string} dir - The cache directory.
+ * @param {string} file - The entry's path.
+ * @param {object} entry - The entry.
+ */
+const writeEntry = (dir, file, entry) => {
+  try {
+    fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+    fs.writeFileSync(file, `${JSON.stringify(entry, null, 2)}\n`, {
+      mode: 0o600,
+    });
+  } catch (error) {
+    /* Read-only or full disk: carry on without caching. */
+  }
+};
+
+/**
+ * Answers a provider request from the cache when the mode allows it, and
+ * otherwise fetches and stores the response.
+ * @param {{provider: string, label: string, model: string, baseUrl: string, cache?: {mode: string, dir: string, ttl: number, maxSize: number, refresh?: boolean}}} settings - The resolved provider settings; `cache.refresh` skips reading in "on" mode, e.g. when the user asks for a rewrite.
+ * @param {Array<{role: string, content: string}>} messages - The conversation to send.
+ * @param {number} count - The number of candidates requested.
+ * @param {function(): Promise<string[]>} fetch - Sends the request to the provider.
+ * @returns {Promise<string[]>} The raw generated texts.
+ * @throws {CacheMissError} In "replay" mode, if no response was recorded for the request.
+ */
+export const withCache = async (settings, messages, count, fetch) => {
+  const { mode = "off", dir, ttl, maxSize, refresh } = settings.cache || {};
+  if (mode === "off") return fetch();
+
+  const file = path.join(dir, `${getCacheKey(settings, messages, count)}.json`);
+  if (mode === "replay" || (mode === "on" && !refresh)) {
+    const entry = readEntry(file);
+    if (entry && mode === "replay") return entry.suggestions;
+    if (entry && Date.now() - entry.createdAt < ttl * 1000) {
+      console.log(
+        chalk.gray("Using a cached response; pass --no-cache for a new one.")
+      );
+      // Touch the entry so pruning removes the least recently used first.
+      const now = new Date();
+      try {
+        fs.utimesSync(file, now, now);
+      } catch (error) {
+        /* Read-only cache: the entry is still good to use. */
+      }
+      return entry.suggestions;
+    }
+    if (mode === "replay") {
+      throw new CacheMissError(
+        `No recorded ${settings.label} response matches this request.`,
+        `Record one with the cache setting set to "record", using the same cache directory (${dir}).`
+      );
+    }
+  }
+
+  const suggestions = await fetch();
+  writeEntry(dir, file, {
+    version: CACHE_VERSION,
+    createdAt: Date.now(),
+    provider: settings.provider,
+    model: settings.model,
+    suggestions,
+  });
+  if (mode === "on") {
+    try {
+      prune(dir, ttl, maxSize);
+    } catch (error) {
+      /* Another run may be pruning at the same time. */
+    }
+  }
+  return suggestions;
+};
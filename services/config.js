@@ -0,0 +1,479 @@
+/**
+ * @file This module loads the effective configuration by merging several layers,
+ * from lowest to highest priority:
+ *   1. built-in defaults,
+ *   2. the user-level config file,
+ *   3. the repository's `.commitenhancerrc` or the `commitEnhancer` key in package.json,
+ *   4. git config (`commit-enhancer.*`, `<provider>.model`, `<provider>.baseurl`),
+ *   5. environment variables,
+ *   6. explicit overrides (CLI flags).
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import execa from "execa";
+import { DEFAULT_MAX_DIFF_TOKENS } from "./diff.js";
+import { BODY_LINE_WIDTH, MESSAGE_STYLES } from "./message.js";
+
+export const DEFAULT_PROVIDER = "gemini";
+
+export const DEFAULT_TYPES = [
+  "feat",
+  "fix",
+  "docs",
+  "style",
+  "refactor",
+  "perf",
+  "test",
+  "build",
+  "ci",
+  "chore",
+  "revert",
+];
+
+export const STAGING_MODES = ["ask", "all", "tracked", "none"];
+
+/** Where `login` and the interactive key prompt save API keys (see services/credentials.js). */
+export const CREDENTIAL_STORES = ["file", "git"];
+
+/** What to do when the text about to be sent contains possible secrets (see services/secrets.js). */
+export const SECRET_SCAN_MODES = ["confirm", "redact", "block", "off"];
+
+/** How `--split` groups the staged files (see services/split.js). */
+export const SPLIT_STRATEGIES = ["directory", "model"];
+
+/** How commit subjects are written; "auto" learns it from the history (see services/history.js). */
+export const COMMIT_STYLES = [
+  "auto",
+  "conventional",
+  "gitmoji",
+  "ticket",
+  "plain",
+];
+
+/** Where the ticket key found in the branch name goes (see services/tickets.js). */
+export const TICKET_PLACEMENTS = ["auto", "prefix", "scope", "footer", "off"];
+
+/** Whether provider responses are cached, recorded or replayed (see services/cache.js). */
+export const CACHE_MODES = ["on", "off", "record", "replay"];
+
+/** The most candidates a single request may ask for (Gemini's `candidateCount` limit). */
+export const MAX_CANDIDATES = 8;
+
+/**
+ * The default prompt template. Placeholders in braces are filled in by
+ * `llm.constructPrompt`: {intent}, {diff}, {convention}, {types}, {scopes},
+ * {language}, {examples} and {format}.
+ */
+export const DEFAULT_PROMPT_TEMPLATE =
+  "You are an expert Git commit message writer. Generate a professional commit message based on the user's intent and the staged file changes. The user's intent is: \"{intent}\".\n\n{diff}\n\n{convention}{scopes}{language}{examples}\n\n{format}";
+
+export const DEFAULTS = {
+  provider: DEFAULT_PROVIDER,
+  model: null,
+  baseUrl: null,
+  style: "oneline",
+  language: null,
+  prompt: DEFAULT_PROMPT_TEMPLATE,
+  maxDiffTokens: DEFAULT_MAX_DIFF_TOKENS,
+  staging: "ask",
+  types: DEFAULT_TYPES,
+  scopes: [],
+  requireScope: false,
+  subjectMaxLength: 72,
+  bodyMaxLineLength: BODY_LINE_WIDTH,
+  maxRepairAttempts: 2,
+  candidates: 1,
+  timeout: 60,
+  retries: 3,
+  credentialStore: "file",
+  secretScan: "confirm",
+  secretScanIgnore: [],
+  splitBy: "directory",
+  commitStyle: "auto",
+  historySize: 50,
+  ticketPattern: "[A-Z][A-Z0-9]+-\\d+",
+  ticketPlacement: "auto",
+  cache: "on",
+  cacheDir: null,
+  cacheTtl: 86400,
+  cacheMaxSize: 10,
+  usageLog: true,
+};
+
+/** The value type of each setting, used to coerce strings from git config and env. */
+const SCHEMA = {
+  provider: "string",
+  model: "string",
+  baseUrl: "string",
+  style: "string",
+  language: "string",
+  prompt: "string",
+  maxDiffTokens: "number",
+  staging: "string",
+  types: "list",
+  scopes: "list",
+  requireScope: "boolean",
+  subjectMaxLength: "number",
+  bodyMaxLineLength: "number",
+  maxRepairAttempts: "number",
+  candidates: "number",
+  timeout: "number",
+  retries: "number",
+  credentialStore: "string",
+  secretScan: "string",
+  secretScanIgnore: "list",
+  splitBy: "string",
+  commitStyle: "string",
+  historySize: "number",
+  ticketPattern: "string",
+  ticketPlacement: "string",
+  cache: "string",
+  cacheDir: "string",
+  cacheTtl: "number",
+  cacheMaxSize: "number",
+  usageLog: "boolean",
+};
+
+export const RC_FILE_NAMES = [".commitenhancerrc", ".commitenhancerrc.json"];
+export const PACKAGE_JSON_KEY = "commitEnhancer";
+
+/**
+ * Settings a repository's own config may not set. They choose where requests,
+ * and with them the user's API key, are sent and where keys and responses are
+ * stored, so a cloned repository must not be able to redirect them.
+ */
+export const USER_ONLY_KEYS = [
+  "provider",
+  "baseUrl",
+  "cacheDir",
+  "credentialStore",
+];
+
+/**
+ * Returns the path of the user-level config file,
+ * `$XDG_CONFIG_HOME/commit-enhancer/config.json` (or `~/.config/...`).
+ * @returns {string} The file path.
+ */
+export const getUserConfigPath = () =>
+  path.join(
+    process.env.XDG_CONFIG_HOME || path.join(os.homedir(), ".config"),
+    "commit-enhancer",
+    "config.json"
+  );
+
+/**
+ * Converts a raw value to the type declared for the setting.
+ * @param {string} key - The setting name.
+ * @param {*} value - The raw value (a string when it comes from git config or env).
+ * @returns {*} The coerced value.
+ * @throws {Error} If a number or boolean cannot be parsed.
+ */
+const coerce = (key, value) => {
+  if (typeof value !== "string") return value;
+  switch (SCHEMA[key]) {
+    case "number": {
+      const number = Number(value);
+      if (!Number.isFinite(number)) {
+        throw new Error(`Invalid number for "${key}": "${value}".`);
+      }
+      return number;
+    }
+    case "boolean":
+      if (!["true", "false"].includes(value.toLowerCase())) {
+        throw new Error(`Invalid boolean for "${key}": "${value}".`);
+      }
+      return value.toLowerCase() === "true";
+    case "list":
+      return value
+        .split(",")
+        .map((item) => item.trim())
+        .filter(Boolean);
+    default:
+      return value;
+  }
+};
+
+/**
+ * Reads and parses a JSON config file.
+ * @param {string} filePath - The file to read.
+ * @returns {object|null} The parsed contents, or null if the file does not exist.
+ * @throws {Error} If the file exists but is not valid JSON.
+ */
+const readJsonFile = (filePath) => {
+  if (!fs.existsSync(filePath)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not parse ${filePath}: ${error.message}`);
+  }
+};
+
+/**
+ * Finds the directory that repository-level config is read from:
+ * the top of the working tree, or the current directory outside a repository.
+ * @returns {Promise<string>} The directory path.
+ */
+const getRepoRoot = async () => {
+  try {
+    const { stdout } = await execa("git", ["rev-parse", "--show-toplevel"]);
+    return stdout;
+  } catch (error) {
+    return process.cwd();
+  }
+};
+
+/**
+ * Checks that a repository-level config leaves the endpoint and credential
+ * settings (`USER_ONLY_KEYS`) alone, at the top level and per provider.
+ * @param {{source: string, values: object}} layer - The repository layer.
+ * @returns {{source: string, values: object}} The layer.
+ * @throws {Error} If the layer sets one of them.
+ */
+const checkRepoLayer = (layer) => {
+  const { providers = {}, ...rest } = layer.values;
+  for (const [prefix, values] of [
+    ["", rest],
+    ...Object.entries(providers).map(([name, value]) => [
+      `providers.${name}.`,
+      value || {},
+    ]),
+  ]) {
+    const key = USER_ONLY_KEYS.find((name) => name in values);
+    if (key) {
+      throw new Error(
+        `${layer.source} may not set "${prefix}${key}": the provider, endpoint and credential settings are only read from the user config, git config, environment variables and flags.`
+      );
+    }
+  }
+  return layer;
+};
+
+/**
+ * Loads the repository-level config file, preferring `.commitenhancerrc`
+ * over the `commitEnhancer` key in package.json.
+ * @param {string} root - The repository root.
+ * @returns {{source: string, values: object}|null} The layer, or null if none exists.
+ * @throws {Error} If the file sets a setting only the user may set.
+ */
+const loadRepoLayer = (root) => {
+  for (const name of RC_FILE_NAMES) {
+    const values = readJsonFile(path.join(root, name));
+    if (values) return checkRepoLayer({ source: name, values });
+  }
+  const pkg = readJsonFile(path.join(root, "package.json"));
+  if (pkg && pkg[PACKAGE_JSON_KEY]) {
+    return checkRepoLayer({
+      source: `package.json#${PACKAGE_JSON_KEY}`,
+      values: pkg[PACKAGE_JSON_KEY],
+    });
+  }
+  return null;
+};
+
+/**
+ * Reads every git config entry relevant to the tool in a single call.
+ * @returns {Promise<Map<string, string>>} The entries, keyed by lowercase config name.
+ */
+const readGitConfig = async () => {
+  const entries = new Map();
+  try {
+    const { stdout } = await execa("git", [
+      "config",
+      "--get-regexp",
+      "^(commit-enhancer|gemini|openai|ollama)\\.",
+    ]);
+    for (const line of stdout.split("\n")) {
+      const [key, ...value] = line.split(" ");
+      entries.set(key.toLowerCase(), value.join(" "));
+    }
+  } catch (error) {
+    /* No matching entries, or not inside a repository. */
+  }
+  return entries;
+};
+
+/**
+ * Picks the settings a file layer defines for the active provider. Top-level
+ * keys apply to any provider; `providers.<name>` entries override them.
+ * @param {object} values - The parsed file contents.
+ * @param {string} provider - The active provider name.
+ * @returns {object} The settings from the file.
+ */
+const fromFile = (values, provider) => {
+  const { providers, ...rest } = values;
+  const result = {};
+  for (const [key, value] of Object.entries({
+    ...rest,
+    ...(providers && providers[provider]),
+  })) {
+    if (!(key in SCHEMA)) {
+      throw new Error(`Unknown configuration key "${key}".`);
+    }
+    result[key] = value;
+  }
+  return result;
+};
+
+/**
+ * Maps git config entries to settings for the active provider.
+ * @param {Map<string, string>} entries - The entries from `readGitConfig`.
+ * @param {string} provider - The active provider name.
+ * @returns {object} The settings from git config.
+ */
+const fromGitConfig = (entries, provider) => {
+  const result = {};
+  for (const key of Object.keys(SCHEMA)) {
+    const value = entries.get(`commit-enhancer.${key.toLowerCase()}`);
+    if (value !== undefined) result[key] = value;
+  }
+  if (entries.has(`${provider}.model`)) {
+    result.model = entries.get(`${provider}.model`);
+  }
+  if (entries.has(`${provider}.baseurl`)) {
+    result.baseUrl = entries.get(`${provider}.baseurl`);
+  }
+  return result;
+};
+
+/**
+ * Maps environment variables to settings for the active provider.
+ * @param {string} provider - The active provider name.
+ * @returns {object} The settings from the environment.
+ */
+const fromEnv = (provider) => {
+  const { env } = process;
+  const prefix = provider.toUpperCase();
+  const candidates = {
+    provider: env.COMMIT_ENHANCER_PROVIDER,
+    style: env.COMMIT_ENHANCER_STYLE,
+    language: env.COMMIT_ENHANCER_LANGUAGE,
+    maxDiffTokens: env.COMMIT_ENHANCER_MAX_DIFF_TOKENS,
+    cache: env.COMMIT_ENHANCER_CACHE,
+    cacheDir: env.COMMIT_ENHANCER_CACHE_DIR,
+    model: env[`${prefix}_MODEL`],
+    baseUrl:
+      env[`${prefix}_BASE_URL`] ||
+      (provider === "ollama" ? env.OLLAMA_HOST : undefined),
+  };
+  return Object.fromEntries(
+    Object.entries(candidates).filter(([, value]) => value)
+  );
+};
+
+/**
+ * Checks that enumerated settings hold supported values.
+ * @param {object} config - The merged configuration.
+ * @throws {Error} If a setting is invalid.
+ */
+const validate = (config) => {
+  const check = (key, allowed) => {
+    if (!allowed.includes(config[key])) {
+      throw new Error(
+        `Invalid ${key} "${config[key]}". Supported values: ${allowed.join(
+          ", "
+        )}.`
+      );
+    }
+  };
+  check("style", MESSAGE_STYLES);
+  check("staging", STAGING_MODES);
+  check("credentialStore", CREDENTIAL_STORES);
+  check("secretScan", SECRET_SCAN_MODES);
+  check("splitBy", SPLIT_STRATEGIES);
+  check("commitStyle", COMMIT_STYLES);
+  check("ticketPlacement", TICKET_PLACEMENTS);
+  check("cache", CACHE_MODES);
+  try {
+    new RegExp(config.ticketPattern);
+  } catch (error) {
+    throw new Error(`Invalid ticketPattern: ${error.message}`);
+  }
+  if (
+    !Number.isInteger(config.candidates) ||
+    config.candidates < 1 ||
+    config.candidates > MAX_CANDIDATES
+  ) {
+    throw new Error(
+      `Invalid candidates "${config.candidates}". Use a whole number from 1 to ${MAX_CANDIDATES}.`
+    );
+  }
+  if (!(config.timeout > 0)) {
+    throw new Error(
+      `Invalid timeout "${config.timeout}". Use a number of seconds above 0.`
+    );
+  }
+  if (!Number.isInteger(config.retries) || config.retries < 0) {
+    throw new Error(
+      `Invalid retries "${config.retries}". Use a whole number from 0 up.`
+    );
+  }
+  if (!(config.cacheTtl > 0)) {
+    throw new Error(
+      `Invalid cacheTtl "${config.cacheTtl}". Use a number of seconds above 0.`
+    );
+  }
+  if (!(config.cacheMaxSize > 0)) {
+    throw new Error(
+      `Invalid cacheMaxSize "${config.cacheMaxSize}". Use a number of megabytes above 0.`
+    );
+  }
+  if (!Number.isInteger(config.historySize) || config.historySize < 0) {
+    throw new Error(
+      `Invalid historySize "${config.historySize}". Use a whole number from 0 up.`
+    );
+  }
+};
+
+/**
+ * Loads and merges every configuration layer.
+ * @param {object} [overrides] - Explicit settings (e.g. CLI flags); undefined values are ignored.
+ * @returns {Promise<{config: typeof DEFAULTS, sources: Object<string, string>}>} The effective configuration and, for each setting, the layer it came from.
+ * @throws {Error} If a config file or value is invalid.
+ */
+export const loadConfig = async (overrides = {}) => {
+  const userPath = getUserConfigPath();
+  const userValues = readJsonFile(userPath);
+  const repoLayer = loadRepoLayer(await getRepoRoot());
+  const gitEntries = await readGitConfig();
+  const flags = Object.fromEntries(
+    Object.entries(overrides).filter(([, value]) => value !== undefined)
+  );
+
+  // Every layer but the defaults may depend on the provider, so resolve it first.
+  const layersFor = (provider) =>
+    [
+      userValues && {
+        source: userPath,
+        values: fromFile(userValues, provider),
+      },
+      repoLayer && {
+        source: repoLayer.source,
+        values: fromFile(repoLayer.values, provider),
+      },
+      { source: "git config", values: fromGitConfig(gitEntries, provider) },
+      { source: "environment", values: fromEnv(provider) },
+      { source: "command line", values: flags },
+    ].filter(Boolean);
+
+  const provider = layersFor(DEFAULT_PROVIDER)
+    .reduce((name, layer) => layer.values.provider || name, DEFAULT_PROVIDER)
+    .toLowerCase();
+
+  const config = { ...DEFAULTS };
+  const sources = Object.fromEntries(
+    Object.keys(DEFAULTS).map((key) => [key, "default"])
+  );
+  for (const layer of layersFor(provider)) {
+    for (const [key, value] of Object.entries(layer.values)) {
+      config[key] = coerce(key, value);
+      sources[key] = layer.source;
+    }
+  }
+  config.provider = provider;
+  config.style = config.style.toLowerCase();
+
+  validate(config);
+  return { config, sources };
+};
@@ -0,0 +1,222 @@
+/**
+ * @file This module finds, stores and removes provider API keys, and redacts
+ * them from anything printed. Keys are looked up in this order:
+ *   1. the `<PROVIDER>_API_KEY` environment variable,
+ *   2. the configured credential store: a user-level credentials file readable
+ *      only by its owner (`file`), or a `git credential` helper (`git`),
+ *   3. the legacy `<provider>.apikey` git config value.
+ */
+
+import fs from "fs";
+import path from "path";
+import execa from "execa";
+import chalk from "chalk";
+import { getUserConfigPath } from "./config.js";
+import { getConfigValue } from "./git.js";
+
+/** The username git credential helpers store the keys under. */
+const CREDENTIAL_USERNAME = "commit-enhancer";
+
+/** Keys seen during this run, so they can be redacted from any output. */
+const knownKeys = new Set();
+
+/** Common key and token formats, redacted even when the key itself is unknown. */
+const SECRET_PATTERNS = [
+  /AIza[0-9A-Za-z_-]{35}/g, // Google API keys
+  /sk-[0-9A-Za-z_-]{20,}/g, // OpenAI-style keys
+  /(Bearer\s+)[^\s"']+/gi,
+  /([?&]key=)[^&\s"']+/gi,
+  /(x-goog-api-key["']?\s*[:=]\s*["']?)[^\s"',}]+/gi,
+];
+
+/**
+ * Replaces every known API key, and anything that looks like one, with a placeholder.
+ * @param {string} text - The text to clean up.
+ * @returns {string} The redacted text.
+ */
+export const redact = (text) => {
+  let result = String(text);
+  for (const key of knownKeys) {
+    result = result.split(key).join("[REDACTED]");
+  }
+  return SECRET_PATTERNS.reduce(
+    (current, pattern) =>
+      current.replace(pattern, (match, prefix) =>
+        typeof prefix === "string" ? `${prefix}[REDACTED]` : "[REDACTED]"
+      ),
+    result
+  );
+};
+
+/**
+ * Remembers a key so `redact` removes it from any later output.
+ * @param {string|null} key - The key.
+ * @returns {string|null} The same key.
+ */
+const remember = (key) => {
+  if (key) knownKeys.add(key);
+  return key;
+};
+
+/**
+ * Returns the path of the user-level credentials file, next to the user config file.
+ * @returns {string} The file path.
+ */
+export const getCredentialsPath = () =>
+  path.join(path.dirname(getUserConfigPath()), "credentials.json");
+
+/**
+ * Reads the credentials file, warning if other users can read it.
+ * @returns {Object<string, string>} The keys, by provider name.
+ */
+const readCredentialsFile = () => {
+  const filePath = getCredentialsPath();
+  if (!fs.existsSync(filePath)) return {};
+  if (process.platform !== "win32" && fs.statSync(filePath).mode & 0o077) {
+    console.error(
+      chalk.yellow(
+        `Warning: ${filePath} can be read by other users. Run: chmod 600 "${filePath}"`
+      )
+    );
+  }
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not parse ${filePath}: ${error.message}`);
+  }
+};
+
+/**
+ * Writes the credentials file, readable and writable by its owner only.
+ * @param {Object<string, string>} credentials - The keys, by provider name.
+ */
+const writeCredentialsFile = (credentials) => {
+  const filePath = getCredentialsPath();
+  if (!Object.keys(credentials).length) {
+    if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+    return;
+  }
+  fs.mkdirSync(path.dirname(filePath), { recursive: true, mode: 0o700 });
+  fs.writeFileSync(filePath, `${JSON.stringify(credentials, null, 2)}\n`, {
+    mode: 0o600,
+  });
+  // The mode option only applies when the file is created.
+  fs.chmodSync(filePath, 0o600);
+};
+
+/**
+ * Runs a `git credential` action for the provider's API host.
+ * Terminal prompts are disabled, so a missing credential fails instead of asking.
+ * @param {'fill'|'approve'|'reject'} action - The git credential action.
+ * @param {{baseUrl: string}} settings - The resolved provider settings.
+ * @param {string} [password] - The key, for `approve`.
+ * @returns {Promise<string>} The helper's output.
+ */
+const gitCredential = async (action, { baseUrl }, password) => {
+  const url = new URL(baseUrl);
+  const input = [
+    `protocol=${url.protocol.replace(/:$/, "")}`,
+    `host=${url.host}`,
+    `username=${CREDENTIAL_USERNAME}`,
+    ...(password ? [`password=${password}`] : []),
+  ].join("\n");
+  const { stdout } = await execa("git", ["credential", action], {
+    input: `${input}\n\n`,
+    env: { GIT_TERMINAL_PROMPT: "0", GIT_ASKPASS: "", SSH_ASKPASS: "" },
+  });
+  return stdout;
+};
+
+/**
+ * The credential stores a key can be saved to (see the `credentialStore` setting).
+ */
+const STORES = {
+  file: {
+    description: getCredentialsPath,
+    read: async ({ provider }) => readCredentialsFile()[provider] || null,
+    write: async ({ provider }, apiKey) =>
+      writeCredentialsFile({ ...readCredentialsFile(), [provider]: apiKey }),
+    remove: async ({ provider }) => {
+      const credentials = readCredentialsFile();
+      if (!(provider in credentials)) return false;
+      delete credentials[provider];
+      writeCredentialsFile(credentials);
+      return true;
+    },
+  },
+  git: {
+    description: () => "the git credential helper",
+    read: async (settings) => {
+      try {
+        const output = await gitCredential("fill", settings);
+        const line = output
+          .split("\n")
+          .find((entry) => entry.startsWith("password="));
+        return line ? line.slice("password=".length) : null;
+      } catch (error) {
+        return null; // No helper configured, or no stored credential.
+      }
+    },
+    write: (settings, apiKey) => gitCredential("approve", settings, apiKey),
+    remove: async (settings) => {
+      const apiKey = await STORES.git.read(settings);
+      if (!apiKey) return false;
+      await gitCredential("reject", settings, apiKey);
+      return true;
+    },
+  },
+};
+
+/**
+ * Retrieves the API key for a model provider: from the environment (ideal for
+ * CI), the credential store, or the legacy git config value.
+ * @param {{provider: string, baseUrl: string}} settings - The resolved provider settings.
+ * @param {'file'|'git'} [store="file"] - The configured credential store.
+ * @returns {Promise<string|null>} The API key if found, otherwise null.
+ */
+export const getApiKey = async (settings, store = "file") => {
+  const envKey = process.env[`${settings.provider.toUpperCase()}_API_KEY`];
+  if (envKey) return remember(envKey);
+
+  const storedKey = await STORES[store].read(settings);
+  if (storedKey) return remember(storedKey);
+
+  return remember(await getConfigValue(`${settings.provider}.apikey`));
+};
+
+/**
+ * Saves an API key to the credential store.
+ * @param {{provider: string, baseUrl: string}} settings - The resolved provider settings.
+ * @param {string} apiKey - The API key to save.
+ * @param {'file'|'git'} [store="file"] - The configured credential store.
+ */
+export const saveApiKey = async (settings, apiKey, store = "file") => {
+  remember(apiKey);
+  await STORES[store].write(settings, apiKey);
+  console.log(
+    chalk.green(`API key has been saved to ${STORES[store].description()}.`)
+  );
+};
+
+/**
+ * Removes a provider's API key from the credential store and from the legacy
+ * local git config.
+ * @param {{provider: string, baseUrl: string}} settings - The resolved provider settings.
+ * @param {'file'|'git'} [store="file"] - The configured credential store.
+ * @returns {Promise<boolean>} True if a key was removed.
+ */
+export const deleteApiKey = async (settings, store = "file") => {
+  let removed = await STORES[store].remove(settings);
+  try {
+    await execa("git", [
+      "config",
+      "--local",
+      "--unset",
+      `${settings.provider}.apikey`,
+    ]);
+    removed = true;
+  } catch (error) {
+    /* Not set, or not inside a repository. */
+  }
+  return removed;
+};
@@ -0,0 +1,241 @@
+/**
+ * @file This module turns a raw staged patch into prompt-sized context for the model.
+ * It splits the patch per file, ranks files by how useful they are to the model,
+ * trims oversized hunks, and only names the files that no longer fit once the
+ * token budget is spent. The stat and that list are cut off to fit the budget too.
+ */
+
+export const DEFAULT_MAX_DIFF_TOKENS = 4000;
+
+/** The maximum number of lines kept from a single hunk before it is trimmed. */
+export const MAX_HUNK_LINES = 60;
+
+/** Files whose contents are noise to the model; only their summary is sent. */
+const LOCKFILE_NAMES = new Set([
+  "package-lock.json",
+  "npm-shrinkwrap.json",
+  "yarn.lock",
+  "pnpm-lock.yaml",
+  "bun.lockb",
+  "Cargo.lock",
+  "Gemfile.lock",
+  "poetry.lock",
+  "Pipfile.lock",
+  "composer.lock",
+  "go.sum",
+]);
+
+const GENERATED_PATTERNS = [
+  /(^|\/)(dist|build|out|coverage|vendor|node_modules)\//,
+  /\.min\.(js|css)$/,
+  /\.map$/,
+  /\.snap$/,
+  /\.generated\.\w+$/,
+];
+
+/**
+ * Roughly estimates how many tokens a piece of text will cost.
+ * Uses the common ~4 characters per token heuristic, which is close enough for budgeting.
+ * @param {string} text - The text to measure.
+ * @returns {number} The estimated token count.
+ */
+export const estimateTokens = (text) => Math.ceil(text.length / 4);
+
+/**
+ * Classifies a file so that source changes are sent before noise.
+ * @param {string} path - The file path.
+ * @param {boolean} binary - Whether git reported the file as binary.
+ * @returns {'source'|'lockfile'|'generated'|'binary'} The file kind.
+ */
+export const classifyFile = (path, binary) => {
+  if (binary) return "binary";
+  const baseName = path.split("/").pop();
+  if (LOCKFILE_NAMES.has(baseName)) return "lockfile";
+  if (GENERATED_PATTERNS.some((pattern) => pattern.test(path))) {
+    return "generated";
+  }
+  return "source";
+};
+
+/**
+ * Extracts the file path from a single file's patch section.
+ * @param {string[]} lines - The header lines of one `diff --git` section.
+ * @returns {string} The (new) path of the file.
+ */
+const parsePath = (lines) => {
+  const newPath = lines.find((line) => line.startsWith("+++ b/"));
+  if (newPath) return newPath.slice(6);
+  const renameTo = lines.find((line) => line.startsWith("rename to "));
+  if (renameTo) return renameTo.slice(10);
+  const oldPath = lines.find((line) => line.startsWith("--- a/"));
+  if (oldPath) return oldPath.slice(6);
+  const header = lines[0].slice("diff --git ".length);
+  return header.slice(header.lastIndexOf(" b/") + 3);
+};
+
+/**
+ * Splits a full `git diff` patch into one entry per file.
+ * @param {string} patch - The output of `git diff --staged`.
+ * @returns {Array<{path: string, kind: string, added: number, deleted: number, header: string[], hunks: string[][]}>} The parsed files.
+ */
+export const parsePatch = (patch) => {
+  if (!patch) return [];
+  const sections = patch.split(/^(?=diff --git )/m).filter(Boolean);
+
+  return sections.map((section) => {
+    const lines = section.replace(/\n$/, "").split("\n");
+    const firstHunk = lines.findIndex((line) => line.startsWith("@@"));
+    const header = firstHunk === -1 ? lines : lines.slice(0, firstHunk);
+    const hunks = [];
+    let added = 0;
+    let deleted = 0;
+
+    if (firstHunk !== -1) {
+      for (const line of lines.slice(firstHunk)) {
+        if (line.startsWith("@@")) {
+          hunks.push([line]);
+          continue;
+        }
+        hunks[hunks.length - 1].push(line);
+        if (line.startsWith("+")) added++;
+        else if (line.startsWith("-")) deleted++;
+      }
+    }
+
+    const binary = header.some(
+      (line) => line.startsWith("Binary files") || line === "GIT binary patch"
+    );
+    const path = parsePath(header);
+    return {
+      path,
+      kind: classifyFile(path, binary),
+      added,
+      deleted,
+      header,
+      hunks,
+    };
+  });
+};
+
+/**
+ * Renders a file's patch, trimming hunks that are longer than `maxHunkLines`.
+ * @param {{header: string[], hunks: string[][]}} file - A parsed file entry.
+ * @param {number} [maxHunkLines=MAX_HUNK_LINES] - The maximum lines to keep per hunk.
+ * @returns {string} The (possibly trimmed) patch text.
+ */
+export const renderFilePatch = (file, maxHunkLines = MAX_HUNK_LINES) => {
+  const hunks = file.hunks.map((hunk) => {
+    if (hunk.length <= maxHunkLines) return hunk.join("\n");
+    const trimmed = hunk.length - maxHunkLines;
+    return [
+      ...hunk.slice(0, maxHunkLines),
+      `... (${trimmed} more line${trimmed === 1 ? "" : "s"} trimmed)`,
+    ].join("\n");
+  });
+  return [...file.header, ...hunks].join("\n");
+};
+
+/**
+ * Renders the line naming a file whose patch is not sent. Its line counts are
+ * already in the stat, so only the reason it was left out is added.
+ * @param {{path: string, kind: string}} file - A parsed file entry.
+ * @returns {string} The summary line.
+ */
+const renderSummary = (file) =>
+  file.kind === "source" ? `- ${file.path}` : `- ${file.path} (${file.kind})`;
+
+/**
+ * Keeps as many lines as fit in a token budget, ending with a count of the rest.
+ * @param {string[]} lines - The lines to keep, in order.
+ * @param {number} budget - The token budget for the kept lines.
+ * @returns {string[]} The kept lines.
+ */
+const fitLines = (lines, budget) => {
+  const kept = [];
+  let cost = 0;
+  for (const [index, line] of lines.entries()) {
+    const more = lines.length - index - 1;
+    // Leave room for the "… and N more files" line should a later line not fit.
+    const reserve = more ? estimateTokens(`… and ${more} more files\n`) : 0;
+    const lineCost = estimateTokens(`${line}\n`);
+    if (cost + lineCost + reserve > budget) {
+      const rest = lines.length - index;
+      const note = `… and ${rest} more file${rest === 1 ? "" : "s"}`;
+      return [...kept, note];
+    }
+    kept.push(line);
+    cost += lineCost;
+  }
+  return kept;
+};
+
+const KIND_PRIORITY = { source: 0, generated: 1, lockfile: 2, binary: 3 };
+
+/**
+ * Builds the diff context for the prompt within a token budget.
+ * The stat comes first and may use up to half the budget; its per-file lines
+ * are cut off past that, but its closing totals line is kept. Source file
+ * patches are then added, smallest first, while they fit. Every other file,
+ * including lockfiles, generated and binary files, is named in a closing list
+ * that is cut off once the budget runs out.
+ * @param {string} stat - The output of `git diff --staged --stat`.
+ * @param {string} patch - The output of `git diff --staged`.
+ * @param {number} [maxTokens=DEFAULT_MAX_DIFF_TOKENS] - The token budget for the whole context.
+ * @returns {string} The formatted diff context.
+ */
+export const buildDiffContext = (
+  stat,
+  patch,
+  maxTokens = DEFAULT_MAX_DIFF_TOKENS
+) => {
+  const statLines = stat.split("\n");
+  const totals = statLines.pop();
+  const statHeading = "Staged file changes:\n```\n";
+  const statFrame = estimateTokens(`${statHeading}${totals}\n\`\`\``);
+  const fitted = fitLines(statLines, Math.floor(maxTokens / 2) - statFrame);
+  const statBlock = `${statHeading}${[...fitted, totals].join("\n")}\n\`\`\``;
+  // The fences and headings around the patch and the list cost tokens too.
+  let remaining =
+    maxTokens -
+    estimateTokens(`${statBlock}\n\nStaged patch:\n\`\`\`diff\n\`\`\`\n\n`);
+
+  const files = parsePatch(patch)
+    .map((file, index) => ({ file, index, text: renderFilePatch(file) }))
+    .sort(
+      (a, b) =>
+        KIND_PRIORITY[a.file.kind] - KIND_PRIORITY[b.file.kind] ||
+        a.text.length - b.text.length
+    );
+
+  const included = [];
+  const summarized = [];
+  for (const entry of files) {
+    const cost = estimateTokens(`${entry.text}\n`);
+    if (entry.file.kind === "source" && cost <= remaining) {
+      included.push(entry);
+      remaining -= cost;
+    } else {
+      summarized.push(entry);
+    }
+  }
+
+  // Restore git's original file order so the patch reads naturally.
+  const byIndex = (a, b) => a.index - b.index;
+  const sections = [statBlock];
+  if (included.length) {
+    const patchText = included
+      .sort(byIndex)
+      .map((entry) => entry.text)
+      .join("\n");
+    sections.push(`Staged patch:\n\`\`\`diff\n${patchText}\n\`\`\``);
+  }
+  if (summarized.length) {
+    const heading = `Files sent without their patch (${summarized.length}):`;
+    const summaryLines = fitLines(
+      summarized.sort(byIndex).map((entry) => renderSummary(entry.file)),
+      remaining - estimateTokens(`${heading}\n`)
+    );
+    sections.push([heading, ...summaryLines].join("\n"));
+  }
+  return sections.join("\n\n");
+};
@@ -1,58 +1,80 @@
 /**
  * @file This module handles all interactions with the Google Gemini API.
- * It is responsible for constructing the prompt and making the API call.
+ * It is responsible for sending the prompt and extracting the generated text.
  */
 
-import axios from "axios";
-import chalk from "chalk";
+import { SafetyError, postJson } from "./http.js";
+
+export const name = "gemini";
+export const label = "Gemini";
+export const DEFAULT_MODEL = "gemini-2.0-flash";
+export const DEFAULT_BASE_URL =
+  "https://generativelanguage.googleapis.com/v1beta";
 
 /**
- * Constructs the prompt to be sent to the Gemini API.
- * @param {string} rawCommit - The user's initial, raw commit message.
- * @param {string} diffContext - A string containing the summary of staged file changes.
- * @returns {string} The fully constructed prompt.
+ * Gemini always requires an API key.
+ * @returns {boolean} True.
  */
-export const constructPrompt = (rawCommit, diffContext) => {
-  return `You are an expert Git commit message writer. Generate a professional commit message in the Conventional Commits standard based on the user's intent and the staged file changes. The user's intent is: "${rawCommit}".\n\n${diffContext}\n\nReturn only the single-line, formatted commit message and nothing else.`;
-};
+export const requiresApiKey = () => true;
+
+/** Finish reasons that mean the answer was withheld by the safety filters. */
+const BLOCKED_FINISH_REASONS = ["SAFETY", "BLOCKLIST", "PROHIBITED_CONTENT"];
 
 /**
- * Fetches a commit message suggestion from the Gemini API.
- * @param {string} apiKey - The user's Google Gemini API key.
- * @param {string} prompt - The prompt to send to the API.
- * @returns {Promise<string|null>} The AI-generated commit message, or null if an error occurs.
+ * Fetches one or more commit message suggestions from the Gemini API.
+ * @param {{apiKey: string, model: string, baseUrl: string, timeout?: number, retries?: number, signal?: AbortSignal}} settings - The resolved provider settings.
+ * @param {Array<{role: 'user'|'assistant', content: string}>} messages - The conversation to send.
+ * @param {number} [count=1] - The number of candidates to request (`candidateCount`).
+ * @returns {Promise<{texts: string[], usage: {promptTokens: number|null, responseTokens: number|null}}>} The raw generated texts and the tokens the request used, as reported by the provider.
+ * @throws {ProviderError} If the request fails or the answer was blocked.
  */
-export const getCommitSuggestion = async (apiKey, prompt) => {
-  const API_URL = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${apiKey}`;
-  try {
-    const response = await axios.post(API_URL, {
-      contents: [{ parts: [{ text: prompt }] }],
-    });
-    // Safely access the suggestion text and clean up any markdown backticks.
-    let suggestion =
-      response.data.candidates?.[0]?.content?.parts?.[0]?.text || "";
-    return suggestion.trim().replace(/^`+|`+$/g, "");
-  } catch (error) {
-    console.error(chalk.red("Error calling Gemini API:"));
-    if (error.response) {
-      if (error.response.status === 429) {
-        console.error(
-          chalk.yellow(
-            "You have exceeded your API request limit. Please wait and try again."
-          )
-        );
-      } else {
-        console.error(`Server responded with status ${error.response.status}.`);
-      }
-    } else if (error.request) {
-      console.error(
-        chalk.yellow(
-          "Could not connect to the Gemini API. Please check your internet connection."
-        )
-      );
-    } else {
-      console.error("An unexpected error occurred:", error.message);
-    }
-    return null;
+export const getCommitSuggestions = async (
+  { apiKey, model, baseUrl, timeout, retries, signal },
+  messages,
+  count = 1
+) => {
+  const API_URL = `${baseUrl}/models/${model}:generateContent`;
+  const data = await postJson(
+    { name, label },
+    API_URL,
+    {
+      // Gemini calls the assistant role "model".
+      contents: messages.map(({ role, content }) => ({
+        role: role === "assistant" ? "model" : "user",
+        parts: [{ text: content }],
+      })),
+      ...(count > 1 && { generationConfig: { candidateCount: count } }),
+    },
+    // The key goes in a header, never the URL, so it cannot leak into proxy logs.
+    { headers: { "x-goog-api-key": apiKey }, timeout, retries, signal }
+  );
+
+  const blockReason = data.promptFeedback?.blockReason;
+  if (blockReason) {
+    throw new SafetyError(
+      `${label} blocked the prompt (${blockReason}).`,
+      "Rephrase your intent, or leave the files that triggered the filter out of the commit."
+    );
+  }
+  const candidates = data.candidates || [];
+  if (
+    candidates.length &&
+    candidates.every((candidate) =>
+      BLOCKED_FINISH_REASONS.includes(candidate.finishReason)
+    )
+  ) {
+    throw new SafetyError(
+      `${label} withheld the answer (${candidates[0].finishReason}).`,
+      "Rephrase your intent or try again."
+    );
   }
+  return {
+    texts: candidates.map(
+      (candidate) => candidate.content?.parts?.[0]?.text || ""
+    ),
+    usage: {
+      promptTokens: data.usageMetadata?.promptTokenCount ?? null,
+      responseTokens: data.usageMetadata?.candidatesTokenCount ?? null,
+    },
+  };
 };
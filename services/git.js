@@ -3,16 +3,191 @@
  * It uses 'execa' to run Git commands and handles their output.
  */
 
+import fs from "fs";
+import path from "path";
+import readline from "readline";
 import execa from "execa";
 import chalk from "chalk";
 import * as ui from "../ui.js";
+import { buildDiffContext, DEFAULT_MAX_DIFF_TOKENS } from "./diff.js";
+import { stripComments } from "./message.js";
+import { isInteractive } from "./terminal.js";
+
+/** The command that gives up each operation, suggested when it left conflicts. */
+const ABORT_COMMANDS = {
+  merge: "git merge --abort",
+  "cherry-pick": "git cherry-pick --abort",
+  revert: "git revert --abort",
+  rebase: "git rebase --abort",
+  am: "git am --abort",
+};
+
+/**
+ * Resolves paths inside the git directory, such as MERGE_HEAD. Linked
+ * worktrees keep some of these files in their own directory.
+ * @param {string[]} names - The paths relative to the git directory.
+ * @returns {Promise<Object<string, string>>} The absolute paths, by name.
+ */
+const getGitPaths = async (names) => {
+  const { stdout } = await execa("git", [
+    "rev-parse",
+    ...names.flatMap((name) => ["--git-path", name]),
+  ]);
+  const paths = stdout.split("\n");
+  return Object.fromEntries(
+    names.map((name, index) => [name, path.resolve(paths[index])])
+  );
+};
+
+/**
+ * Finds the multi-step git operation in progress, if any, from the files git
+ * keeps in its directory while one runs.
+ * @returns {Promise<{kind: 'rebase'|'am'|'merge'|'cherry-pick'|'revert'|'bisect', commit?: string, message?: string}|null>} The operation, with the commit being picked or reverted and the message git prepared for the commit; null if none is in progress.
+ */
+export const getInProgressOperation = async () => {
+  const files = await getGitPaths([
+    "rebase-merge",
+    "rebase-apply",
+    "rebase-apply/applying",
+    "MERGE_HEAD",
+    "MERGE_MSG",
+    "CHERRY_PICK_HEAD",
+    "REVERT_HEAD",
+    "BISECT_LOG",
+  ]);
+  const exists = (name) => fs.existsSync(files[name]);
+  const read = (name) =>
+    exists(name) ? fs.readFileSync(files[name], "utf8").trim() : undefined;
+
+  // `git am` and the apply backend of rebase share a directory.
+  if (exists("rebase-apply/applying")) return { kind: "am" };
+  if (exists("rebase-merge") || exists("rebase-apply")) {
+    return { kind: "rebase" };
+  }
+  const message = stripComments(read("MERGE_MSG") || "") || undefined;
+  if (exists("MERGE_HEAD")) return { kind: "merge", message };
+  if (exists("CHERRY_PICK_HEAD")) {
+    return { kind: "cherry-pick", commit: read("CHERRY_PICK_HEAD"), message };
+  }
+  if (exists("REVERT_HEAD")) {
+    return { kind: "revert", commit: read("REVERT_HEAD"), message };
+  }
+  if (exists("BISECT_LOG")) return { kind: "bisect" };
+  return null;
+};
+
+/**
+ * Lists the files with unresolved conflicts: every unmerged status, not just
+ * both modified (UU) but also both added (AA), both deleted (DD), and added
+ * or deleted by one side only (AU, UA, DU, UD).
+ * @returns {Promise<string[]>} The file paths.
+ */
+const getConflictedFiles = async () => {
+  try {
+    const { stdout } = await execa("git", [
+      "diff",
+      "--name-only",
+      "--diff-filter=U",
+      "-z",
+    ]);
+    return [...new Set(stdout.split("\0").filter(Boolean))];
+  } catch (error) {
+    return []; // Ignore potential errors if git diff fails in an odd state.
+  }
+};
+
+/**
+ * Checks that committing now is safe: no conflicts are left, and no operation
+ * is in progress that a plain commit would get in the way of. Rebases and a
+ * detached HEAD only warn; the user is asked before committing on a detached
+ * HEAD when there is a terminal to ask on.
+ * @param {boolean} interactive - Whether the user may be asked.
+ * @returns {Promise<boolean>} True if the commit may go ahead.
+ */
+const checkCommitState = async (interactive) => {
+  const operation = await getInProgressOperation();
+  const conflicts = await getConflictedFiles();
+  if (conflicts.length) {
+    console.error(
+      chalk.red(`Error: Merge conflict detected in ${conflicts.join(", ")}.`)
+    );
+    const abort = ABORT_COMMANDS[operation?.kind];
+    console.error(
+      chalk.yellow(
+        `Please resolve the conflicts and mark them resolved with \`git add\` before committing${
+          abort ? `, or run \`${abort}\` to give up the ${operation.kind}` : ""
+        }.`
+      )
+    );
+    return false;
+  }
+
+  switch (operation?.kind) {
+    case "am":
+      console.error(chalk.red("Error: git am is applying patches."));
+      console.error(
+        chalk.yellow(
+          "Finish with `git am --continue`, which commits the patch with its own message, or run `git am --abort`."
+        )
+      );
+      return false;
+    case "bisect":
+      console.error(chalk.red("Error: A bisect is in progress."));
+      console.error(
+        chalk.yellow(
+          "HEAD is a commit under test, not a branch, so a commit here would be lost. Run `git bisect reset` first."
+        )
+      );
+      return false;
+    case "rebase":
+      console.log(
+        chalk.yellow(
+          "A rebase is in progress: the commit is added to the rebased history. Run `git rebase --continue` afterwards."
+        )
+      );
+      return true;
+    case "merge":
+    case "cherry-pick":
+    case "revert":
+      console.log(
+        chalk.cyan(
+          `Concluding the ${operation.kind}${
+            operation.message
+              ? "; git's prepared message is the starting point"
+              : ""
+          }.`
+        )
+      );
+      return true;
+    default:
+      break;
+  }
+
+  if (!(await isDetachedHead())) return true;
+  console.log(
+    chalk.yellow(
+      "Warning: HEAD is detached, so the commit will not be on any branch. Run `git switch -c <branch>` first to keep it."
+    )
+  );
+  if (interactive && !(await ui.promptToContinue("Commit anyway?"))) {
+    console.log(chalk.red("Operation cancelled."));
+    return false;
+  }
+  return true;
+};
 
 /**
  * Performs pre-flight checks to ensure the environment is ready.
- * Verifies Git installation, repository status, and checks for merge conflicts.
+ * Verifies Git installation and repository status, and, before a commit,
+ * checks for conflicts and operations in progress.
+ * @param {boolean} [interactive] - Whether the user may be asked to initialize a repository or to commit on a detached HEAD; defaults to whether there is a terminal to ask on.
+ * @param {boolean} [committing=true] - Whether a commit is about to be made.
  * @returns {Promise<boolean>} True if all checks pass, false otherwise.
  */
-export const preflightChecks = async () => {
+export const preflightChecks = async (
+  interactive = isInteractive(),
+  committing = true
+) => {
   try {
     await execa("git", ["--version"]);
   } catch (error) {
@@ -25,6 +200,10 @@ export const preflightChecks = async () => {
   try {
     await execa("git", ["rev-parse", "--is-inside-work-tree"]);
   } catch (error) {
+    if (!interactive) {
+      console.error(chalk.red("Error: Not inside a Git repository."));
+      return false;
+    }
     const shouldInit = await ui.promptToInitRepo();
     if (shouldInit) {
       try {
@@ -60,7 +239,9 @@ export const preflightChecks = async () => {
         } catch (branchError) {
           // If branch operations fail, that's okay - the repo is still initialized
           console.error(
-            chalk.red("Warning: Branch operation failed. The repository was initialized, but the branch could not be renamed.")
+            chalk.red(
+              "Warning: Branch operation failed. The repository was initialized, but the branch could not be renamed."
+            )
           );
           console.error(chalk.yellow(`Details: ${branchError.message}`));
           console.log(
@@ -74,36 +255,17 @@ export const preflightChecks = async () => {
     }
   }
 
-  try {
-    const { stdout } = await execa("git", ["status", "--porcelain"]);
-    if (stdout.includes("UU")) {
-      console.error(chalk.red("Error: Merge conflict detected."));
-      console.error(
-        chalk.yellow("Please resolve the conflicts before committing.")
-      );
-      return false;
-    }
-  } catch (error) {
-    /* Ignore potential errors if git status fails in an odd state */
-  }
-
-  return true;
+  return committing ? checkCommitState(interactive) : true;
 };
 
 /**
- * Retrieves the Gemini API key. It prioritizes environment variables for CI environments,
- * then falls back to local Git configuration.
- * @returns {Promise<string|null>} The API key if found, otherwise null.
+ * Reads a single value from the Git configuration.
+ * @param {string} key - The config key (e.g. "commit-enhancer.provider").
+ * @returns {Promise<string|null>} The value if set, otherwise null.
  */
-export const getApiKey = async () => {
-  // Priority 1: Check for environment variable (ideal for CI/CD)
-  if (process.env.GEMINI_API_KEY) {
-    return process.env.GEMINI_API_KEY;
-  }
-
-  // Priority 2: Check local git config (for local development)
+export const getConfigValue = async (key) => {
   try {
-    const { stdout } = await execa("git", ["config", "gemini.apikey"]);
+    const { stdout } = await execa("git", ["config", key]);
     return stdout || null;
   } catch (error) {
     return null; // Return null if the config key doesn't exist.
@@ -111,74 +273,695 @@ export const getApiKey = async () => {
 };
 
 /**
- * Saves the provided API key to the local Git configuration.
- * @param {string} apiKey - The API key to save.
+ * Lists the files with changes that are not staged, from `git status --porcelain`.
+ * @returns {Promise<Array<{status: string, path: string, untracked: boolean}>>} The files, with their two-letter status code.
  */
-export const saveApiKey = async (apiKey) => {
-  await execa("git", ["config", "--local", "gemini.apikey", apiKey]);
-  console.log(chalk.green("API key has been saved to your local git config."));
+export const getUnstagedFiles = async () => {
+  const { stdout } = await execa("git", [
+    "status",
+    "--porcelain=v1",
+    "-z",
+    "--untracked-files=all",
+  ]);
+  const entries = stdout.split("\0");
+  const files = [];
+  for (let i = 0; i < entries.length; i++) {
+    const entry = entries[i];
+    if (!entry) continue;
+    const status = entry.slice(0, 2);
+    // Renames and copies are followed by their original path.
+    if (/[RC]/.test(status[0])) i++;
+    const untracked = status === "??";
+    if (untracked || status[1] !== " ") {
+      files.push({ status, path: entry.slice(3), untracked });
+    }
+  }
+  return files;
 };
 
 /**
- * Checks for staged files and prompts the user to stage changes if necessary.
- * @returns {Promise<boolean>} True if there are staged files to commit, false otherwise.
+ * Checks whether the index holds changes to commit.
+ * @returns {Promise<boolean>} True if something is staged.
  */
-export const handleStaging = async () => {
+const hasStagedChanges = async () => {
   try {
     await execa("git", ["diff", "--staged", "--quiet"]);
-  } catch (stagedError) {
+    return false;
+  } catch (error) {
     return true; // Exit code 1 means files are staged.
   }
+};
+
+/** The git arguments for the staging modes that need no file list. */
+const STAGE_COMMANDS = {
+  all: ["add", "."],
+  tracked: ["add", "-u"],
+};
+
+/**
+ * Checks for staged files and stages changes if necessary, according to the staging mode:
+ * "ask" lets the user pick files, tracked files only, hunks (`git add -p`) or
+ * everything; "all" runs `git add .` and "tracked" runs `git add -u` without
+ * asking; "none" leaves staging to the user. Without a terminal, "ask" behaves
+ * like "none".
+ * @param {'ask'|'all'|'tracked'|'none'} [staging="ask"] - The configured staging mode.
+ * @param {boolean} [interactive] - Whether the user may be asked; defaults to whether there is a terminal to ask on.
+ * @returns {Promise<boolean>} True if there are staged files to commit, false otherwise.
+ */
+export const handleStaging = async (
+  staging = "ask",
+  interactive = isInteractive()
+) => {
+  if (await hasStagedChanges()) return true;
+  // A merge commit may record no changes of its own (e.g. `git merge -s ours`).
+  if ((await getInProgressOperation())?.kind === "merge") return true;
 
-  const { stdout: status } = await execa("git", ["status", "--porcelain"]);
-  if (!status) {
+  const files = await getUnstagedFiles();
+  if (!files.length) {
     console.log(chalk.yellow("No changes to commit. Working tree clean."));
     return false;
   }
 
-  const shouldAdd = await ui.promptToStageFiles();
-  if (shouldAdd) {
-    await execa("git", ["add", "."]);
-    console.log(chalk.green("All changes have been staged."));
-    return true;
-  } else {
+  if (staging === "none" || (staging === "ask" && !interactive)) {
+    console.log(chalk.yellow("No files are staged for commit."));
+    console.log(
+      chalk.red(
+        interactive
+          ? "Please stage your files manually before committing."
+          : "Stage your files before committing, or set staging to all or tracked."
+      )
+    );
+    return false;
+  }
+
+  const { action, paths } =
+    staging === "ask"
+      ? await ui.promptToStageFiles(files)
+      : { action: staging, paths: [] };
+
+  if (action === "cancel") {
     console.log(
       chalk.red("Please stage your files manually before committing.")
     );
     return false;
   }
+  // The listed paths are relative to the top of the working tree, and
+  // `git add .` only covers the current directory, so stage from the top.
+  const cwd = await getRepoRoot();
+  if (action === "patch") {
+    // Hand the terminal over to git's own interactive hunk picker.
+    await execa("git", ["add", "-p"], {
+      cwd,
+      stdio: "inherit",
+      reject: false,
+    });
+  } else if (action === "select") {
+    if (paths.length) await execa("git", ["add", "--", ...paths], { cwd });
+  } else {
+    await execa("git", STAGE_COMMANDS[action], { cwd });
+  }
+
+  if (!(await hasStagedChanges())) {
+    console.log(chalk.yellow("Nothing was staged."));
+    return false;
+  }
+  console.log(
+    chalk.green(
+      action === "all" ? "All changes have been staged." : "Changes staged."
+    )
+  );
+  return true;
 };
 
 /**
- * Gets a summary of staged file changes to provide context to the AI.
+ * Summarizes the staged changes per file using `git diff --staged --numstat`.
+ * @param {boolean} [amend=false] - Compare with HEAD's parent, to summarize the amended commit.
+ * @returns {Promise<{files: Array<{path: string, added: number|null, deleted: number|null}>, insertions: number, deletions: number}>} The staged file statistics; binary files have null counts.
+ */
+export const getStagedStats = async (amend = false) => {
+  const { stdout } = await execa("git", [
+    "diff",
+    "--staged",
+    ...(amend ? [await getDiffBase("HEAD")] : []),
+    "--numstat",
+  ]);
+  const files = stdout
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => {
+      const [added, deleted, ...rest] = line.split("\t");
+      return {
+        path: rest.join("\t"),
+        added: added === "-" ? null : Number(added),
+        deleted: deleted === "-" ? null : Number(deleted),
+      };
+    });
+  return {
+    files,
+    insertions: files.reduce((sum, file) => sum + (file.added || 0), 0),
+    deletions: files.reduce((sum, file) => sum + (file.deleted || 0), 0),
+  };
+};
+
+/**
+ * Builds the diff context for a `git diff` between two states: the summary and
+ * the patch, trimmed to fit a token budget (see services/diff.js).
+ * @param {string[]} range - The arguments selecting what to compare (e.g. `["--staged"]`).
+ * @param {number} maxTokens - The token budget for the diff context.
+ * @param {string[]} [paths=[]] - Limits the diff to these files, relative to the top of the working tree.
+ * @returns {Promise<string|null>} The diff context, or null if nothing changed.
+ */
+const getDiffContext = async (range, maxTokens, paths = []) => {
+  const pathspec = paths.length ? ["--", ...paths] : [];
+  // The patch is parsed by file path (see services/diff.js), so pin the `a/`
+  // and `b/` prefixes that diff.noprefix and diff.mnemonicPrefix change.
+  const prefixes = ["--src-prefix=a/", "--dst-prefix=b/"];
+  // Pathspecs are read relative to the current directory, so run from the top.
+  const cwd = await getRepoRoot();
+  const { stdout: stat } = await execa(
+    "git",
+    ["diff", ...range, ...prefixes, "--stat", ...pathspec],
+    { cwd }
+  );
+  if (!stat) return null;
+  const { stdout: patch } = await execa(
+    "git",
+    ["diff", ...range, ...prefixes, "--no-color", "--no-ext-diff", ...pathspec],
+    { cwd }
+  );
+  return buildDiffContext(stat, patch, maxTokens);
+};
+
+/**
+ * Gets the staged changes, including the actual patch, to provide context to the AI.
+ * The patch is trimmed to fit a token budget (see services/diff.js).
+ * @param {number} [maxTokens=DEFAULT_MAX_DIFF_TOKENS] - The token budget for the diff context.
+ * @param {string[]} [paths=[]] - Limits the diff to these files.
  * @returns {Promise<string>} A formatted string of staged changes, or a message indicating no changes.
  */
-export const getStagedDiff = async () => {
+export const getStagedDiff = async (
+  maxTokens = DEFAULT_MAX_DIFF_TOKENS,
+  paths = []
+) => {
   try {
-    const { stdout } = await execa("git", ["diff", "--staged", "--stat"]);
-    return stdout
-      ? `Staged file changes:\n\`\`\`\n${stdout}\n\`\`\``
-      : "No staged file changes detected.";
+    return (
+      (await getDiffContext(["--staged"], maxTokens, paths)) ||
+      "No staged file changes detected."
+    );
   } catch (error) {
     return "Could not retrieve staged file changes.";
   }
 };
 
+/**
+ * Resolves a revision to a commit hash.
+ * @param {string} rev - The revision (e.g. "HEAD~2" or a hash).
+ * @returns {Promise<string|null>} The full commit hash, or null if it does not name a commit.
+ */
+export const resolveCommit = async (rev) => {
+  try {
+    const { stdout } = await execa("git", [
+      "rev-parse",
+      "--verify",
+      "-q",
+      `${rev}^{commit}`,
+    ]);
+    return stdout;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Returns what a commit's changes are compared against: its first parent, or
+ * the empty tree for a root commit.
+ * @param {string} rev - The commit.
+ * @returns {Promise<string>} The parent's hash, or the empty tree's hash.
+ */
+const getDiffBase = async (rev) => {
+  const parent = await resolveCommit(`${rev}^`);
+  if (parent) return parent;
+  const { stdout } = await execa(
+    "git",
+    ["hash-object", "-t", "tree", "--stdin"],
+    {
+      input: "",
+    }
+  );
+  return stdout;
+};
+
+/**
+ * Gets the changes the amended HEAD commit will hold: HEAD's own changes plus
+ * anything newly staged, as a diff from HEAD's parent to the index.
+ * @param {number} [maxTokens=DEFAULT_MAX_DIFF_TOKENS] - The token budget for the diff context.
+ * @returns {Promise<string>} The diff context, or a message indicating no changes.
+ */
+export const getAmendDiff = async (maxTokens = DEFAULT_MAX_DIFF_TOKENS) => {
+  try {
+    return (
+      (await getDiffContext(
+        ["--staged", await getDiffBase("HEAD")],
+        maxTokens
+      )) || "No file changes detected."
+    );
+  } catch (error) {
+    return "Could not retrieve the changes of the amended commit.";
+  }
+};
+
+/**
+ * Gets the changes an existing commit introduced, compared to its first parent.
+ * @param {string} rev - The commit.
+ * @param {number} [maxTokens=DEFAULT_MAX_DIFF_TOKENS] - The token budget for the diff context.
+ * @returns {Promise<string>} The diff context, or a message indicating no changes.
+ */
+export const getCommitDiff = async (
+  rev,
+  maxTokens = DEFAULT_MAX_DIFF_TOKENS
+) => {
+  try {
+    return (
+      (await getDiffContext([await getDiffBase(rev), rev], maxTokens)) ||
+      "No file changes detected."
+    );
+  } catch (error) {
+    return "Could not retrieve the changes of the commit.";
+  }
+};
+
+/**
+ * Reads the full message of an existing commit.
+ * @param {string} rev - The commit.
+ * @returns {Promise<string>} The message.
+ */
+export const getCommitMessage = async (rev) => {
+  const { stdout } = await execa("git", ["log", "-1", "--format=%B", rev]);
+  return stdout.trim();
+};
+
+/**
+ * Checks whether a commit is part of the current branch's history.
+ * @param {string} rev - The commit.
+ * @returns {Promise<boolean>} True if HEAD contains the commit.
+ */
+export const isOnCurrentBranch = async (rev) => {
+  try {
+    await execa("git", ["merge-base", "--is-ancestor", rev, "HEAD"]);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Lists the remote-tracking branches that contain a commit, i.e. where it was pushed.
+ * @param {string} rev - The commit.
+ * @returns {Promise<string[]>} The branch names (e.g. "origin/main").
+ */
+export const getRemoteBranchesContaining = async (rev) => {
+  const { stdout } = await execa("git", [
+    "branch",
+    "--remotes",
+    "--contains",
+    rev,
+    "--format=%(refname:short)",
+  ]);
+  return stdout.split("\n").filter(Boolean);
+};
+
+/**
+ * Gets the path of the file a message is saved to while it is committed, so
+ * it survives a failed commit. It sits next to git's own COMMIT_EDITMSG.
+ * @returns {Promise<string>} The absolute file path.
+ */
+export const getSavedMessagePath = async () =>
+  (await getGitPaths(["COMMIT_ENHANCER_EDITMSG"])).COMMIT_ENHANCER_EDITMSG;
+
+/**
+ * Reads the message a failed commit left behind.
+ * @returns {Promise<string|null>} The message, or null if there is none.
+ */
+export const readSavedMessage = async () => {
+  const file = await getSavedMessagePath();
+  if (!fs.existsSync(file)) return null;
+  return fs.readFileSync(file, "utf8").trim() || null;
+};
+
+/**
+ * Forwards a subprocess's output to the console line by line as it arrives,
+ * so hook output is shown while the hook runs rather than after it fails.
+ * @param {object} subprocess - The execa child process.
+ * @returns {Promise<object>} The subprocess result, once all output is shown.
+ */
+const streamOutput = async (subprocess) => {
+  const forward = (stream, write) =>
+    new Promise((resolve) => {
+      if (!stream) return resolve();
+      const lines = readline.createInterface({ input: stream });
+      lines.on("line", (line) => write(line));
+      lines.on("close", resolve);
+    });
+  const forwarded = Promise.all([
+    forward(subprocess.stdout, console.log),
+    forward(subprocess.stderr, console.error),
+  ]);
+  try {
+    return await subprocess;
+  } finally {
+    await forwarded;
+  }
+};
+
 /**
  * Executes the final `git commit` command with the provided message.
+ * The message is written to a file in the git directory and passed with `-F`,
+ * so multi-line messages keep their body and footers exactly as formatted,
+ * and a message whose commit fails can be committed again (see
+ * `readSavedMessage`). The file is removed once the commit succeeds. Hook
+ * output is shown as it is printed.
  * @param {string} message - The commit message.
+ * @param {{amend?: boolean, noVerify?: boolean, sign?: boolean, signoff?: boolean, author?: string}} [options] - Extra `git commit` flags.
+ * @returns {Promise<boolean>} True if the commit was created.
  */
-export const performCommit = async (message) => {
+export const performCommit = async (
+  message,
+  { amend, noVerify, sign, signoff, author } = {}
+) => {
+  const file = await getSavedMessagePath();
+  fs.writeFileSync(file, `${message}\n`);
+  const args = ["commit", "--quiet", "-F", file];
+  if (amend) args.push("--amend");
+  if (noVerify) args.push("--no-verify");
+  if (sign) args.push("--gpg-sign");
+  if (signoff) args.push("--signoff");
+  if (author) args.push(`--author=${author}`);
   try {
-    await execa("git", ["commit", "-m", message]);
+    // Signing may ask for a passphrase, so the terminal is passed through.
+    await streamOutput(execa("git", args, { stdin: "inherit" }));
+    fs.rmSync(file, { force: true });
     console.log(chalk.green("\n✅ Commit successful!"));
+    return true;
   } catch (error) {
-    console.error(chalk.red("Error executing git commit:"));
+    console.error(
+      chalk.red(
+        error.exitCode === undefined
+          ? `Error executing git commit: ${error.message}`
+          : `git commit failed with exit code ${error.exitCode}.`
+      )
+    );
+    return false;
+  }
+};
+
+/**
+ * Lists the files changed between two states. Renames are listed as a deletion
+ * and an addition, so each side can go to a different commit.
+ * @param {string[]} range - The arguments selecting what to compare (e.g. `["--staged"]`).
+ * @returns {Promise<string[]>} The file paths.
+ */
+const getChangedFiles = async (range) => {
+  const { stdout } = await execa("git", [
+    "diff",
+    ...range,
+    "--name-only",
+    "--no-renames",
+    "-z",
+  ]);
+  return stdout.split("\0").filter(Boolean);
+};
+
+/**
+ * Lists the staged files.
+ * @param {boolean} [amend=false] - Compare with HEAD's parent, to list the files of the amended commit.
+ * @returns {Promise<string[]>} The staged file paths.
+ */
+export const getStagedFiles = async (amend = false) =>
+  getChangedFiles(["--staged", ...(amend ? [await getDiffBase("HEAD")] : [])]);
+
+/**
+ * Lists the files an existing commit changed.
+ * @param {string} rev - The commit.
+ * @returns {Promise<string[]>} The file paths.
+ */
+export const getCommitFiles = async (rev) =>
+  getChangedFiles([await getDiffBase(rev), rev]);
+
+/**
+ * Gets the name of the current branch.
+ * @returns {Promise<string|null>} The branch name, or null on a detached HEAD.
+ */
+export const getCurrentBranch = async () => {
+  try {
+    const { stdout } = await execa("git", [
+      "symbolic-ref",
+      "--short",
+      "-q",
+      "HEAD",
+    ]);
+    return stdout || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Checks whether HEAD points at a commit rather than a branch. A repository
+ * without commits is on its unborn branch, so it is not detached.
+ * @returns {Promise<boolean>} True if HEAD is detached.
+ */
+const isDetachedHead = async () =>
+  !(await getCurrentBranch()) && Boolean(await resolveCommit("HEAD"));
+
+/**
+ * Gets the top-level directory of the working tree.
+ * @returns {Promise<string|null>} The directory, or null outside a repository.
+ */
+export const getRepoRoot = async () => {
+  try {
+    const { stdout } = await execa("git", ["rev-parse", "--show-toplevel"]);
+    return stdout || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Lists the most recent non-merge commits on the current branch with the files
+ * each one changed, to learn the repository's commit conventions from.
+ * @param {number} limit - The number of commits to read.
+ * @returns {Promise<Array<{subject: string, files: string[]}>>} The commits, newest first; empty if there are none.
+ */
+export const getRecentCommits = async (limit) => {
+  try {
+    const { stdout } = await execa("git", [
+      "-c",
+      "core.quotePath=false",
+      "log",
+      "--no-merges",
+      `--max-count=${limit}`,
+      "--format=%x1e%s",
+      "--name-only",
+    ]);
+    return stdout
+      .split("\x1e")
+      .filter(Boolean)
+      .map((entry) => {
+        const [subject, ...files] = entry.split("\n");
+        return { subject, files: files.filter(Boolean) };
+      });
+  } catch (error) {
+    return []; // No commits yet.
+  }
+};
+
+/**
+ * Creates one commit per group from the staged changes. Only the index and
+ * HEAD are touched, never the working tree. For each group the index is reset
+ * to HEAD and the group's files are copied in from the original index. If any
+ * step fails, HEAD and the original index are restored.
+ * @param {Array<{files: string[], message: string}>} groups - The groups, in commit order.
+ * @param {{noVerify?: boolean, sign?: boolean, signoff?: boolean, author?: string}} [options] - Extra `git commit` flags (see `performCommit`).
+ * @returns {Promise<boolean>} True if every commit was created.
+ */
+export const commitInGroups = async (groups, options = {}) => {
+  // The group files are relative to the top of the working tree, as are the
+  // paths `ls-tree` prints, so the pathspec commands run from there.
+  const cwd = await getRepoRoot();
+  const { stdout: originalTree } = await execa("git", ["write-tree"]);
+  let originalHead = null;
+  try {
+    ({ stdout: originalHead } = await execa("git", [
+      "rev-parse",
+      "--verify",
+      "-q",
+      "HEAD",
+    ]));
+  } catch (error) {
+    /* No commits yet. */
+  }
+
+  let created = 0;
+  try {
+    for (const group of groups) {
+      const hasHead = originalHead || created > 0;
+      await execa("git", ["read-tree", ...(hasHead ? ["HEAD"] : ["--empty"])]);
+
+      const { stdout: entries } = await execa(
+        "git",
+        ["ls-tree", "-r", "-z", originalTree, "--", ...group.files],
+        { cwd }
+      );
+      if (entries) {
+        await execa("git", ["update-index", "-z", "--index-info"], {
+          input: entries.endsWith("\0") ? entries : `${entries}\0`,
+        });
+      }
+      // Files missing from the original index were deleted by this group.
+      const present = new Set(
+        entries
+          .split("\0")
+          .filter(Boolean)
+          .map((entry) => entry.slice(entry.indexOf("\t") + 1))
+      );
+      const deleted = group.files.filter((file) => !present.has(file));
+      if (deleted.length) {
+        await execa(
+          "git",
+          ["rm", "--cached", "-q", "--ignore-unmatch", "--", ...deleted],
+          { cwd }
+        );
+      }
+
+      if (!(await performCommit(group.message, options))) {
+        throw new Error(`Commit ${created + 1} of ${groups.length} failed.`);
+      }
+      created++;
+    }
+    return true;
+  } catch (error) {
+    if (originalHead) {
+      await execa("git", ["reset", "-q", "--soft", originalHead]);
+    } else {
+      await execa("git", ["update-ref", "-d", "HEAD"], { reject: false });
+    }
+    await execa("git", ["read-tree", originalTree]);
+    // The saved message belongs to one group; it makes no sense for the
+    // changes as a whole.
+    fs.rmSync(await getSavedMessagePath(), { force: true });
+    console.error(chalk.red(`Splitting failed: ${error.message}`));
     console.error(
       chalk.yellow(
-        "This might be due to a failing pre-commit hook or other Git issues."
+        created
+          ? `Rolled back ${created} commit(s) and restored the original index.`
+          : "Restored the original index."
+      )
+    );
+    return false;
+  }
+};
+
+/**
+ * Lists the commits that rewording a commit recreates: the commit itself and
+ * every commit built on top of it, oldest first.
+ * @param {string} rev - The full hash of the commit to reword.
+ * @returns {Promise<string[]>} The commit hashes.
+ */
+const getRewrittenCommits = async (rev) => {
+  const { stdout: descendants } = await execa("git", [
+    "rev-list",
+    "--reverse",
+    "--topo-order",
+    "--ancestry-path",
+    `${rev}..HEAD`,
+  ]);
+  return [rev, ...descendants.split("\n").filter(Boolean)];
+};
+
+/** The commit headers holding signatures, which `git commit-tree` cannot carry over. */
+const SIGNATURE_HEADERS = ["gpgsig", "gpgsig-sha256", "mergetag"];
+
+/**
+ * Lists the signed commits among those that rewording a commit recreates.
+ * Their signatures, and those of merged signed tags, are lost in the rewrite.
+ * @param {string} rev - The full hash of the commit to reword.
+ * @returns {Promise<string[]>} The hashes of the signed commits.
+ */
+export const getSignedCommits = async (rev) => {
+  const signed = [];
+  for (const commit of await getRewrittenCommits(rev)) {
+    const { stdout: raw } = await execa("git", ["cat-file", "commit", commit]);
+    const headers = raw.slice(0, raw.indexOf("\n\n")).split("\n");
+    if (
+      headers.some((line) =>
+        SIGNATURE_HEADERS.some((name) => line.startsWith(`${name} `))
       )
+    ) {
+      signed.push(commit);
+    }
+  }
+  return signed;
+};
+
+/**
+ * Replaces the message of a commit on the current branch. The commit and every
+ * commit built on top of it are recreated with `git commit-tree`, keeping their
+ * trees, authors and messages, so the working tree and the index are never
+ * touched. Signatures are not kept (see `getSignedCommits`). The previous HEAD
+ * is saved as ORIG_HEAD.
+ * @param {string} rev - The full hash of the commit to reword.
+ * @param {string} message - The new message.
+ * @returns {Promise<number>} The number of commits rewritten.
+ */
+export const rewordCommit = async (rev, message) => {
+  const { stdout: head } = await execa("git", ["rev-parse", "HEAD"]);
+  const commits = await getRewrittenCommits(rev);
+
+  const rewritten = new Map();
+  for (const commit of commits) {
+    const { stdout: raw } = await execa("git", ["cat-file", "commit", commit], {
+      stripFinalNewline: false,
+    });
+    const separator = raw.indexOf("\n\n");
+    const headers = raw.slice(0, separator).split("\n");
+    const value = (name) =>
+      headers
+        .filter((line) => line.startsWith(`${name} `))
+        .map((line) => line.slice(name.length + 1));
+    const parents = value("parent").map(
+      (parent) => rewritten.get(parent) || parent
     );
-    console.error(error.stderr || error.message);
+    const [, name, email, date] =
+      value("author")[0].match(/^(.*) <(.*)> (.*)$/);
+    const { stdout: hash } = await execa(
+      "git",
+      [
+        "commit-tree",
+        value("tree")[0],
+        ...parents.flatMap((parent) => ["-p", parent]),
+        "-F",
+        "-",
+      ],
+      {
+        input: commit === rev ? `${message}\n` : raw.slice(separator + 2),
+        env: {
+          GIT_AUTHOR_NAME: name,
+          GIT_AUTHOR_EMAIL: email,
+          GIT_AUTHOR_DATE: date,
+        },
+      }
+    );
+    rewritten.set(commit, hash);
   }
+
+  await execa("git", [
+    "update-ref",
+    "-m",
+    "commit-enhancer: reword",
+    "HEAD",
+    rewritten.get(head),
+    head,
+  ]);
+  await execa("git", ["update-ref", "ORIG_HEAD", head]);
+  return commits.length;
 };
@@ -0,0 +1,144 @@
+/**
+ * @file This module learns how a repository writes its commit messages from
+ * its recent history: the style of the subjects (Conventional Commits, gitmoji,
+ * ticket prefixes or plain sentences), the scopes used for the staged paths,
+ * and a few subjects to show the model as examples.
+ */
+
+import { GITMOJI_PATTERN, parseHeader } from "./lint.js";
+
+/** Fewer commits than this are not enough to tell the style. */
+const MIN_COMMITS = 5;
+
+/** The share of subjects a style needs to be picked. */
+const STYLE_THRESHOLD = 0.5;
+
+/** How many example subjects go into the prompt. */
+const MAX_EXAMPLES = 5;
+
+/** How many scopes are suggested for the staged paths. */
+const MAX_SCOPES = 5;
+
+/** Subjects starting with a ticket key (`ABC-123`, `[ABC-123]`) or an issue number (`#123`). */
+const TICKET_PATTERN = /^(?:\[?[A-Z][A-Z0-9]+-\d+\]?|\[?#\d+\]?)[:\s]/;
+
+/** Subjects written by git or other tools rather than by people. */
+const GENERATED_PATTERN =
+  /^(?:Merge |Revert "|fixup! |squash! |amend! |Initial commit$)/i;
+
+/**
+ * Tells which style a commit subject is written in.
+ * @param {string} subject - The subject line.
+ * @returns {'conventional'|'gitmoji'|'ticket'|'plain'} The style.
+ */
+export const classifySubject = (subject) => {
+  if (GITMOJI_PATTERN.test(subject)) return "gitmoji";
+  if (TICKET_PATTERN.test(subject)) return "ticket";
+  const header = parseHeader(subject);
+  if (header && /^[a-z]+$/.test(header.type)) return "conventional";
+  return "plain";
+};
+
+/**
+ * Finds the style most of the subjects are written in.
+ * @param {string[]} subjects - The subject lines, newest first.
+ * @returns {'conventional'|'gitmoji'|'ticket'|'plain'|null} The style, or null if there are too few subjects or no style is used by most of them.
+ */
+export const detectStyle = (subjects) => {
+  if (subjects.length < MIN_COMMITS) return null;
+  const counts = {};
+  for (const subject of subjects) {
+    const style = classifySubject(subject);
+    counts[style] = (counts[style] || 0) + 1;
+  }
+  const [style, count] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+  return count / subjects.length >= STYLE_THRESHOLD ? style : null;
+};
+
+/**
+ * Returns the top-level directory of a path, or an empty string for files at the root.
+ * @param {string} file - The file path.
+ * @returns {string} The directory.
+ */
+const topLevel = (file) => (file.includes("/") ? file.split("/")[0] : "");
+
+/**
+ * Checks whether a commit touched any of the top-level directories.
+ * @param {{files: string[]}} commit - The commit.
+ * @param {Set<string>} dirs - The top-level directories of the staged files.
+ * @returns {boolean} True if the commit touched one of them.
+ */
+const touches = (commit, dirs) =>
+  commit.files.some((file) => dirs.has(topLevel(file)));
+
+/**
+ * Lists the Conventional Commits scopes used by earlier commits that touched
+ * the same top-level directories as the staged files, most used first.
+ * @param {Array<{subject: string, files: string[]}>} commits - The recent commits.
+ * @param {string[]} files - The staged file paths.
+ * @returns {string[]} The scopes.
+ */
+export const inferScopes = (commits, files) => {
+  const dirs = new Set(files.map(topLevel));
+  const counts = new Map();
+  for (const commit of commits) {
+    const scope = parseHeader(commit.subject)?.scope;
+    if (scope && touches(commit, dirs)) {
+      counts.set(scope, (counts.get(scope) || 0) + 1);
+    }
+  }
+  return [...counts]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_SCOPES)
+    .map(([scope]) => scope);
+};
+
+/**
+ * Picks example subjects written in the given style. Commits that touched the
+ * same top-level directories as the staged files come first, then the newest.
+ * @param {Array<{subject: string, files: string[]}>} commits - The recent commits, newest first.
+ * @param {string} style - The repository's style.
+ * @param {string[]} files - The staged file paths.
+ * @param {number} maxLength - The longest subject allowed (`subjectMaxLength`).
+ * @returns {string[]} The example subjects.
+ */
+export const pickExamples = (commits, style, files, maxLength) => {
+  const dirs = new Set(files.map(topLevel));
+  const matching = commits.filter(
+    ({ subject }) =>
+      subject.length <= maxLength && classifySubject(subject) === style
+  );
+  const ordered = [
+    ...matching.filter((commit) => touches(commit, dirs)),
+    ...matching.filter((commit) => !touches(commit, dirs)),
+  ];
+  return [...new Set(ordered.map(({ subject }) => subject))].slice(
+    0,
+    MAX_EXAMPLES
+  );
+};
+
+/**
+ * Learns the repository's commit conventions from its recent history.
+ * A `commitStyle` other than "auto" is used as is; otherwise the style is
+ * detected, falling back to Conventional Commits when the history is too
+ * short or mixed.
+ * @param {Array<{subject: string, files: string[]}>} commits - The recent commits, newest first (see `git.getRecentCommits`).
+ * @param {string[]} files - The staged file paths.
+ * @param {{commitStyle: string, subjectMaxLength: number}} config - The effective configuration.
+ * @returns {{style: 'conventional'|'gitmoji'|'ticket'|'plain', examples: string[], scopes: string[]}} The conventions.
+ */
+export const analyzeHistory = (commits, files, config) => {
+  const written = commits.filter(
+    ({ subject }) => !GENERATED_PATTERN.test(subject)
+  );
+  const style =
+    config.commitStyle !== "auto"
+      ? config.commitStyle
+      : detectStyle(written.map(({ subject }) => subject)) || "conventional";
+  return {
+    style,
+    examples: pickExamples(written, style, files, config.subjectMaxLength),
+    scopes: style === "conventional" ? inferScopes(written, files) : [],
+  };
+};
@@ -0,0 +1,134 @@
+/**
+ * @file This module installs and removes the prepare-commit-msg git hook.
+ * The hook code is kept in a marked block so it can live alongside existing
+ * hook scripts (husky, lefthook, hand-written hooks) and be removed cleanly.
+ */
+
+import fs from "fs";
+import path from "path";
+import execa from "execa";
+import { stripComments } from "./message.js";
+
+export const HOOK_NAME = "prepare-commit-msg";
+
+const BLOCK_START = "# >>> commit-enhancer >>>";
+const BLOCK_END = "# <<< commit-enhancer <<<";
+
+/**
+ * The hook commit sources for which no message should be generated:
+ * `-m`/`-F` messages, merges, squashes, and amends or `-c`/`-C` reuse.
+ */
+export const SKIPPED_SOURCES = ["message", "merge", "squash", "commit"];
+
+/**
+ * The shell snippet inserted into the hook. It never fails the commit.
+ */
+const HOOK_BLOCK = `${BLOCK_START}
+# Pre-fills the commit message with an AI suggestion. Remove with: commit-enhancer hook uninstall
+if command -v commit-enhancer >/dev/null 2>&1; then
+  commit-enhancer hook run "$1" "$2" "$3" </dev/null || true
+else
+  npx --no-install commit-enhancer hook run "$1" "$2" "$3" </dev/null || true
+fi
+${BLOCK_END}`;
+
+/**
+ * Finds the hook file to edit. With husky, hooks live in `.husky/` and git's
+ * `core.hooksPath` points at husky's generated wrappers, so the user-editable
+ * `.husky/prepare-commit-msg` is used instead.
+ * @returns {Promise<string>} The absolute path of the hook file.
+ * @throws {Error} If hooks are disabled through `core.hooksPath`.
+ */
+export const getHookPath = async () => {
+  const { stdout: root } = await execa("git", ["rev-parse", "--show-toplevel"]);
+  let hooksPath = "";
+  try {
+    ({ stdout: hooksPath } = await execa("git", ["config", "core.hooksPath"]));
+  } catch (error) {
+    /* core.hooksPath is not set. */
+  }
+
+  if (hooksPath.replace(/\\/g, "/").split("/").includes(".husky")) {
+    return path.join(root, ".husky", HOOK_NAME);
+  }
+
+  const { stdout: hooksDir } = await execa("git", [
+    "rev-parse",
+    "--git-path",
+    "hooks",
+  ]);
+  // e.g. core.hooksPath=/dev/null, which is a common way to disable hooks.
+  if (fs.existsSync(hooksDir) && !fs.statSync(hooksDir).isDirectory()) {
+    throw new Error(
+      `Git hooks are disabled (core.hooksPath is "${hooksDir}"), so the hook would never run.`
+    );
+  }
+  return path.resolve(hooksDir, HOOK_NAME);
+};
+
+/**
+ * Checks whether a hook script already contains the commit-enhancer block.
+ * @param {string} script - The hook script contents.
+ * @returns {boolean} True if the block is present.
+ */
+const hasBlock = (script) => script.includes(BLOCK_START);
+
+/**
+ * Installs the hook. An existing hook script is kept and the block is inserted
+ * right after its shebang, so it runs even if the script ends with `exit`.
+ * @returns {Promise<{path: string, status: 'created'|'updated'|'unchanged'}>} The hook path and what was done.
+ */
+export const installHook = async () => {
+  const hookPath = await getHookPath();
+
+  if (!fs.existsSync(hookPath)) {
+    fs.mkdirSync(path.dirname(hookPath), { recursive: true });
+    fs.writeFileSync(hookPath, `#!/bin/sh\n${HOOK_BLOCK}\n`, { mode: 0o755 });
+    return { path: hookPath, status: "created" };
+  }
+
+  const script = fs.readFileSync(hookPath, "utf8");
+  if (hasBlock(script)) return { path: hookPath, status: "unchanged" };
+
+  const lines = script.split("\n");
+  const insertAt = lines[0].startsWith("#!") ? 1 : 0;
+  lines.splice(insertAt, 0, HOOK_BLOCK);
+  fs.writeFileSync(hookPath, lines.join("\n"));
+  fs.chmodSync(hookPath, 0o755);
+  return { path: hookPath, status: "updated" };
+};
+
+/**
+ * Removes the hook block. The hook file is deleted only if nothing but a
+ * shebang would be left in it.
+ * @returns {Promise<{path: string, status: 'removed'|'updated'|'missing'}>} The hook path and what was done.
+ */
+export const uninstallHook = async () => {
+  const hookPath = await getHookPath();
+  if (!fs.existsSync(hookPath)) return { path: hookPath, status: "missing" };
+
+  const script = fs.readFileSync(hookPath, "utf8");
+  if (!hasBlock(script)) return { path: hookPath, status: "missing" };
+
+  const start = script.indexOf(BLOCK_START);
+  const end = script.indexOf(BLOCK_END) + BLOCK_END.length;
+  const remaining = (
+    script.slice(0, start) + script.slice(end).replace(/^\n/, "")
+  ).trimEnd();
+
+  if (!remaining || /^#!.*$/.test(remaining)) {
+    fs.unlinkSync(hookPath);
+    return { path: hookPath, status: "removed" };
+  }
+  fs.writeFileSync(hookPath, `${remaining}\n`);
+  return { path: hookPath, status: "updated" };
+};
+
+/**
+ * Checks whether a commit message file already holds a message, ignoring
+ * comment lines, whitespace and the diff `git commit -v` adds below the
+ * scissors line.
+ * @param {string} contents - The message file contents.
+ * @returns {boolean} True if there is message text.
+ */
+export const hasMessage = (contents) => stripComments(contents) !== "";
@@ -0,0 +1,252 @@
+/**
+ * @file Shared helpers for the HTTP-based model providers: a JSON POST with
+ * timeouts, retries and cancellation, and typed errors for the failures a
+ * user can act on.
+ */
+
+import axios from "axios";
+import chalk from "chalk";
+import { redact } from "./credentials.js";
+
+/** The delay before the first retry; it doubles on every further attempt. */
+const BASE_RETRY_DELAY = 1000;
+
+/** Longer waits than this are not worth blocking the terminal for. */
+const MAX_RETRY_DELAY = 30000;
+
+/** Status codes worth retrying: rate limits and transient server failures. */
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+
+/** Network error codes worth retrying. A refused connection is not one of them. */
+const RETRYABLE_CODES = ["ECONNRESET", "EAI_AGAIN", "EPIPE"];
+
+/**
+ * A provider request that failed. `hint` tells the user what to do about it.
+ */
+export class ProviderError extends Error {
+  constructor(message, hint = "") {
+    super(message);
+    this.name = this.constructor.name;
+    this.hint = hint;
+  }
+}
+
+/** The API key is missing, invalid or not allowed to use the model (401/403). */
+export class AuthError extends ProviderError {}
+
+/** The rate limit or quota was exceeded (429), even after retrying. */
+export class QuotaError extends ProviderError {}
+
+/** The provider refused to answer because of its safety filters. */
+export class SafetyError extends ProviderError {}
+
+/** The provider answered, but without any usable message. */
+export class EmptyResponseError extends ProviderError {}
+
+/** The provider could not be reached, or did not answer in time. */
+export class NetworkError extends ProviderError {}
+
+/** The user cancelled the request with Ctrl+C. */
+export class CancelledError extends ProviderError {
+  constructor() {
+    super("Request cancelled.");
+  }
+}
+
+/**
+ * Waits for a while, stopping early if the request is cancelled.
+ * @param {number} ms - The delay in milliseconds.
+ * @param {AbortSignal} [signal] - Aborts the wait.
+ * @returns {Promise<void>}
+ * @throws {CancelledError} If the signal is aborted.
+ */
+const wait = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new CancelledError());
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new CancelledError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+
+/**
+ * Reads the `Retry-After` header, which holds either seconds or an HTTP date.
+ * @param {object} [headers] - The response headers.
+ * @returns {number|null} The requested delay in milliseconds, or null if there is none.
+ */
+const getRetryAfter = (headers = {}) => {
+  const value = headers["retry-after"];
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+/**
+ * Extracts the error message from a provider's error response body.
+ * Gemini and OpenAI use `{ error: { message } }`, Ollama uses `{ error }`.
+ * @param {*} data - The response body.
+ * @returns {string} The message, or an empty string.
+ */
+const getServerMessage = (data) => {
+  if (!data || typeof data !== "object") return "";
+  const { error } = data;
+  if (typeof error === "string") return error;
+  return error?.message || "";
+};
+
+/**
+ * Converts a failed axios request into a typed error with an actionable hint.
+ * @param {{name: string, label: string}} provider - The provider that was called.
+ * @param {Error} error - The error thrown by axios.
+ * @param {{url: string, timeout: number, retryAfter?: number|null}} context - Details of the request.
+ * @returns {ProviderError} The typed error.
+ */
+const toProviderError = (
+  { name, label },
+  error,
+  { url, timeout, retryAfter }
+) => {
+  if (axios.isCancel(error)) return new CancelledError();
+
+  if (!error.response) {
+    if (error.code === "ECONNABORTED" || error.code === "ETIMEDOUT") {
+      return new NetworkError(
+        `The ${label} API did not answer within ${timeout}s.`,
+        "Try again, or raise the limit with --timeout <seconds>."
+      );
+    }
+    return new NetworkError(
+      `Could not connect to the ${label} API at ${new URL(url).origin}.`,
+      "Check your network connection and the base URL."
+    );
+  }
+
+  const { status, data } = error.response;
+  const detail = redact(getServerMessage(data));
+  const suffix = detail ? `: ${detail}` : ".";
+  // Gemini reports an invalid key as a 400 "API key not valid".
+  if (status === 401 || status === 403 || /api key/i.test(detail)) {
+    return new AuthError(
+      `${label} rejected the API key (HTTP ${status})${suffix}`,
+      `Check ${name.toUpperCase()}_API_KEY, or store a new key with: commit-enhancer login --provider ${name}`
+    );
+  }
+  if (status === 429) {
+    return new QuotaError(
+      `${label} rate limit or quota exceeded (HTTP 429)${suffix}`,
+      retryAfter
+        ? `The server asked to wait ${Math.ceil(
+            retryAfter / 1000
+          )} seconds before retrying.`
+        : "Wait a moment and try again, or check your plan's quota."
+    );
+  }
+  if (status === 404) {
+    return new ProviderError(
+      `${label} returned HTTP 404${suffix}`,
+      "Check the model name and the base URL."
+    );
+  }
+  return new ProviderError(
+    `${label} returned HTTP ${status}${suffix}`,
+    status >= 500 ? "The service may be down; try again later." : ""
+  );
+};
+
+/**
+ * Sends a JSON POST request to a provider. Rate limits, server errors and
+ * dropped connections are retried with exponential backoff, honoring the
+ * `Retry-After` header.
+ * @param {{name: string, label: string}} provider - The provider being called, for error messages.
+ * @param {string} url - The request URL.
+ * @param {object} body - The JSON body.
+ * @param {object} [options] - Request options.
+ * @param {object} [options.headers] - Extra request headers.
+ * @param {number} [options.timeout=60] - The timeout for each attempt, in seconds.
+ * @param {number} [options.retries=3] - How many times a failed request is retried.
+ * @param {AbortSignal} [options.signal] - Cancels the request and any pending retry.
+ * @returns {Promise<*>} The response body.
+ * @throws {ProviderError} If the request fails for good.
+ */
+export const postJson = async (
+  provider,
+  url,
+  body,
+  { headers = {}, timeout = 60, retries = 3, signal } = {}
+) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const response = await axios.post(url, body, {
+        headers,
+        timeout: timeout * 1000,
+        signal,
+      });
+      return response.data;
+    } catch (error) {
+      const retryAfter = getRetryAfter(error.response?.headers);
+      const retryable = error.response
+        ? RETRYABLE_STATUSES.includes(error.response.status)
+        : RETRYABLE_CODES.includes(error.code);
+      const delay = retryAfter ?? BASE_RETRY_DELAY * 2 ** attempt;
+
+      if (!retryable || attempt >= retries || delay > MAX_RETRY_DELAY) {
+        throw toProviderError(provider, error, { url, timeout, retryAfter });
+      }
+
+      const reason = error.response
+        ? `HTTP ${error.response.status}`
+        : error.code;
+      console.error(
+        chalk.yellow(
+          `${
+            provider.label
+          } request failed (${reason}); retrying in ${Math.ceil(
+            delay / 1000
+          )}s...`
+        )
+      );
+      await wait(delay, signal);
+    }
+  }
+};
+
+/**
+ * Runs a request that the user can cancel with Ctrl+C. While it runs, Ctrl+C
+ * aborts the request instead of killing the process.
+ * @param {function(AbortSignal): Promise<*>} task - Starts the request with the given signal.
+ * @returns {Promise<*>} The task's result.
+ * @throws {CancelledError} If the user pressed Ctrl+C.
+ */
+export const cancelOnInterrupt = async (task) => {
+  const controller = new AbortController();
+  const onInterrupt = () => controller.abort();
+  process.once("SIGINT", onInterrupt);
+  try {
+    return await task(controller.signal);
+  } finally {
+    process.removeListener("SIGINT", onInterrupt);
+  }
+};
+
+/**
+ * Prints a user-friendly explanation of a failed provider request.
+ * @param {Error} error - The error, usually a `ProviderError`.
+ */
+export const reportApiError = (error) => {
+  if (error instanceof CancelledError) {
+    console.error(chalk.yellow(error.message));
+    return;
+  }
+  console.error(chalk.red(`Error: ${redact(error.message)}`));
+  if (error.hint) console.error(chalk.yellow(error.hint));
+};
@@ -0,0 +1,247 @@
+/**
+ * @file This module validates commit messages against the Conventional Commits
+ * specification and a set of configurable rules, and repairs what it safely can.
+ * The rules are the matching keys of the effective configuration (see services/config.js).
+ * Repositories using another commit style (see services/history.js) only get
+ * the checks that apply to any message.
+ */
+
+import { formatMessage, parseMessage } from "./message.js";
+import { DEFAULTS } from "./config.js";
+
+export const DEFAULT_RULES = {
+  commitStyle: DEFAULTS.commitStyle,
+  types: DEFAULTS.types,
+  scopes: DEFAULTS.scopes,
+  requireScope: DEFAULTS.requireScope,
+  subjectMaxLength: DEFAULTS.subjectMaxLength,
+  bodyMaxLineLength: DEFAULTS.bodyMaxLineLength,
+  maxRepairAttempts: DEFAULTS.maxRepairAttempts,
+  ticket: null,
+};
+
+/** Common non-standard types models produce, mapped to their standard form. */
+const TYPE_ALIASES = {
+  feature: "feat",
+  features: "feat",
+  bugfix: "fix",
+  hotfix: "fix",
+  doc: "docs",
+  documentation: "docs",
+  tests: "test",
+  refactoring: "refactor",
+  performance: "perf",
+  chores: "chore",
+};
+
+const HEADER_PATTERN = /^(\w+)(?:\(([^()\r\n]*)\))?(!)?: (\S.*)$/;
+
+/** Subjects starting with a gitmoji, as an emoji or a `:shortcode:`. */
+export const GITMOJI_PATTERN = /^(?:\p{Extended_Pictographic}|:[a-z0-9_+-]+:)/u;
+
+/**
+ * Checks whether the rules call for Conventional Commits headers. An
+ * unresolved "auto" style counts as Conventional Commits, the default.
+ * @param {{commitStyle?: string}} rules - The rules.
+ * @returns {boolean} True unless another commit style is in use.
+ */
+const isConventional = ({ commitStyle }) =>
+  !commitStyle || ["auto", "conventional"].includes(commitStyle);
+
+/**
+ * Parses a Conventional Commits header line.
+ * @param {string} header - The first line of the commit message.
+ * @returns {{type: string, scope: string|null, breaking: boolean, description: string}|null} The parsed header, or null if it does not match.
+ */
+export const parseHeader = (header) => {
+  const match = header.match(HEADER_PATTERN);
+  if (!match) return null;
+  const [, type, scope, bang, description] = match;
+  return {
+    type,
+    scope: scope === undefined ? null : scope,
+    breaking: Boolean(bang),
+    description,
+  };
+};
+
+/**
+ * Checks a commit message against the rules.
+ * @param {string} message - The commit message to check.
+ * @param {typeof DEFAULT_RULES} [rules=DEFAULT_RULES] - The rules to apply.
+ * @returns {Array<{rule: string, level: 'error'|'warning', message: string}>} The violations found, empty if the message is valid.
+ */
+export const lintMessage = (message, rules = DEFAULT_RULES) => {
+  const violations = [];
+  const error = (rule, text) =>
+    violations.push({ rule, level: "error", message: text });
+  const warning = (rule, text) =>
+    violations.push({ rule, level: "warning", message: text });
+
+  const lines = message.split("\n");
+  const { subject, body, footers } = parseMessage(message);
+
+  if (!subject) {
+    error("header-empty", "The commit message is empty.");
+    return violations;
+  }
+
+  const conventional = isConventional(rules);
+  const header = conventional ? parseHeader(subject) : null;
+  if (!conventional) {
+    if (rules.commitStyle === "gitmoji" && !GITMOJI_PATTERN.test(subject)) {
+      error("gitmoji-missing", "The subject must start with a gitmoji.");
+    }
+    if (/\.$/.test(subject)) {
+      error("subject-full-stop", "The subject must not end with a period.");
+    }
+  } else if (!header) {
+    error(
+      "header-format",
+      'The header must look like "type(scope): description" or "type: description".'
+    );
+  } else {
+    if (!rules.types.includes(header.type)) {
+      error(
+        "type-enum",
+        `Type "${header.type}" is not allowed. Use one of: ${rules.types.join(
+          ", "
+        )}.`
+      );
+    }
+    if (header.scope === null && rules.requireScope) {
+      error("scope-empty", "A scope is required.");
+    }
+    if (header.scope !== null) {
+      if (!header.scope.trim()) {
+        error(
+          "scope-empty",
+          "The scope must not be empty when parentheses are used."
+        );
+      } else if (rules.scopes.length && !rules.scopes.includes(header.scope)) {
+        error(
+          "scope-enum",
+          `Scope "${
+            header.scope
+          }" is not allowed. Use one of: ${rules.scopes.join(", ")}.`
+        );
+      }
+    }
+    if (/\.$/.test(header.description)) {
+      error("subject-full-stop", "The subject must not end with a period.");
+    }
+  }
+
+  if (subject.length > rules.subjectMaxLength) {
+    error(
+      "header-max-length",
+      `The header is ${subject.length} characters long; the limit is ${rules.subjectMaxLength}.`
+    );
+  }
+
+  if (lines.length > 1 && lines[1].trim()) {
+    error(
+      "body-leading-blank",
+      "The body must be separated from the header by a blank line."
+    );
+  }
+
+  const longLines = [body, ...footers]
+    .join("\n")
+    .split("\n")
+    .filter(
+      (line) =>
+        line.length > rules.bodyMaxLineLength && !/^\S+$/.test(line.trim())
+    );
+  if (longLines.length) {
+    warning(
+      "body-max-line-length",
+      `${longLines.length} body line(s) exceed ${rules.bodyMaxLineLength} characters.`
+    );
+  }
+
+  if (rules.ticket && !message.includes(rules.ticket)) {
+    error("ticket-missing", `The message must reference ${rules.ticket}.`);
+  }
+
+  const breakingFooter = footers.some((footer) =>
+    /^BREAKING[ -]CHANGE: /.test(footer)
+  );
+  if (breakingFooter && header && !header.breaking) {
+    warning(
+      "breaking-marker",
+      'A BREAKING CHANGE footer is present; consider adding "!" after the type/scope.'
+    );
+  }
+
+  return violations;
+};
+
+/**
+ * Checks whether a list of violations contains any errors.
+ * @param {Array<{level: string}>} violations - The violations returned by `lintMessage`.
+ * @returns {boolean} True if at least one violation is an error.
+ */
+export const hasErrors = (violations) =>
+  violations.some((violation) => violation.level === "error");
+
+/**
+ * Applies safe, mechanical fixes to a commit message: normalizes the type
+ * (lowercase, common aliases) and the ": " separator of Conventional Commits
+ * headers, collapses whitespace in the header, removes a trailing period, and
+ * re-wraps the body. Violations that need rewording (e.g. an overlong subject)
+ * are left for the model to fix.
+ * @param {string} message - The commit message to repair.
+ * @param {typeof DEFAULT_RULES} [rules=DEFAULT_RULES] - The rules to repair against.
+ * @returns {string} The repaired message.
+ */
+export const repairMessage = (message, rules = DEFAULT_RULES) => {
+  const { subject } = parseMessage(message);
+  let header = subject.replace(/\s+/g, " ");
+
+  const loose =
+    isConventional(rules) &&
+    header.match(/^(\w+)\s*(?:\(\s*([^()]*?)\s*\))?\s*(!)?\s*:\s*(.+)$/);
+  if (loose) {
+    let [, type, scope, bang, description] = loose;
+    type = type.toLowerCase();
+    if (!rules.types.includes(type) && TYPE_ALIASES[type]) {
+      type = TYPE_ALIASES[type];
+    }
+    header = `${type}${scope ? `(${scope})` : ""}${bang || ""}: ${description}`;
+  }
+  header = header.replace(/\.+$/, "");
+
+  const rest = message.trim().split("\n").slice(1).join("\n").trim();
+  return formatMessage(
+    rest ? `${header}\n\n${rest}` : header,
+    rules.bodyMaxLineLength
+  );
+};
+
+/**
+ * Forces the type and/or scope of a message's header, keeping its description,
+ * `!` marker, body and footers. A header that is not in Conventional Commits
+ * form gets the forced type and scope prepended.
+ * @param {string} message - The commit message.
+ * @param {{type?: string, scope?: string}} header - The type and scope to force.
+ * @returns {string} The message with the forced header parts.
+ */
+export const enforceHeader = (message, { type, scope } = {}) => {
+  if (!type && !scope) return message;
+  const [subject, ...rest] = message.split("\n");
+  const parsed = parseHeader(subject);
+
+  let header;
+  if (parsed) {
+    const finalScope = scope || parsed.scope;
+    header = `${type || parsed.type}${finalScope ? `(${finalScope})` : ""}${
+      parsed.breaking ? "!" : ""
+    }: ${parsed.description}`;
+  } else if (type) {
+    header = `${type}${scope ? `(${scope})` : ""}: ${subject}`;
+  } else {
+    return message;
+  }
+  return [header, ...rest].join("\n");
+};
@@ -0,0 +1,280 @@
+/**
+ * @file This module is the provider-agnostic entry point for generating commit messages.
+ * It builds the prompt, resolves which model provider to use, and dispatches the request.
+ */
+
+import * as gemini from "./gemini.js";
+import * as openai from "./openai.js";
+import * as ollama from "./ollama.js";
+import { EmptyResponseError } from "./http.js";
+import { getCacheDir, withCache } from "./cache.js";
+import { recordRequest } from "./usage.js";
+import { cleanSuggestion } from "./message.js";
+import { DEFAULTS } from "./config.js";
+
+/**
+ * All supported model providers, keyed by the name used in config and flags.
+ */
+export const PROVIDERS = { gemini, openai, ollama };
+
+/**
+ * Output format instructions for each message style.
+ */
+const STYLE_INSTRUCTIONS = {
+  oneline: () =>
+    "Return only the single-line, formatted commit message and nothing else.",
+  full: (
+    config
+  ) => `Return only the commit message and nothing else, formatted as:
+- a subject line of at most ${config.subjectMaxLength} characters,
+- a blank line, then a body wrapped at ${config.bodyMaxLineLength} characters explaining what changed and why,
+- optionally, a blank line followed by footers such as "BREAKING CHANGE: <description>" or "Refs: #123", one per line.
+Only include a BREAKING CHANGE footer if the change really breaks existing behavior. Do not use markdown formatting or code fences.`,
+};
+
+/**
+ * Instructions for each commit style (see services/history.js).
+ */
+const CONVENTION_INSTRUCTIONS = {
+  conventional: (types) =>
+    `Follow the Conventional Commits standard. Use one of these types: ${types}.`,
+  gitmoji: () =>
+    "Start the subject with the gitmoji that fits the change (for example ✨ for a feature, 🐛 for a bug fix, 📝 for documentation, ♻️ for a refactor), written like the examples, followed by a short imperative description. Do not add a Conventional Commits type.",
+  ticket: () =>
+    "Start the subject with the ticket reference from the intent, written like the examples, followed by a short imperative description. Do not add a Conventional Commits type.",
+  plain: () =>
+    "Write the subject as a short imperative sentence, like the examples, without a type prefix.",
+};
+
+/**
+ * Constructs the prompt to be sent to the model by filling in the configured template.
+ * @param {string} rawCommit - The user's initial, raw commit message.
+ * @param {string} diffContext - A string containing the staged file changes and patch.
+ * @param {typeof DEFAULTS} [config=DEFAULTS] - The effective configuration (template, style, commit style, types, scopes, language).
+ * @param {{type?: string, scope?: string, ticket?: string, ticketPlacement?: string}} [header] - A type, scope and ticket key the message must use.
+ * @param {{examples?: string[], scopes?: string[]}} [history] - Example subjects and scopes learned from the repository history (see services/history.js).
+ * @returns {string} The fully constructed prompt.
+ */
+export const constructPrompt = (
+  rawCommit,
+  diffContext,
+  config = DEFAULTS,
+  header = {},
+  { examples = [], scopes: usedScopes = [] } = {}
+) => {
+  const style = CONVENTION_INSTRUCTIONS[config.commitStyle]
+    ? config.commitStyle
+    : "conventional";
+  const types = header.type || config.types.join(", ");
+  let scopes = "";
+  if (header.scope) {
+    scopes = ` Use the scope "${header.scope}".`;
+  } else if (style === "conventional" && config.scopes.length) {
+    scopes = ` Use one of these scopes: ${config.scopes.join(", ")}.`;
+  } else if (style === "conventional" && usedScopes.length) {
+    scopes = ` Scopes used for these files before: ${usedScopes.join(", ")}.`;
+  }
+  const values = {
+    intent: rawCommit,
+    diff: diffContext,
+    convention: `${CONVENTION_INSTRUCTIONS[style](types)}${
+      header.ticket && header.ticketPlacement === "prefix"
+        ? ` Start the description with the ticket key ${header.ticket}.`
+        : ""
+    }`,
+    types,
+    scopes,
+    language: config.language
+      ? ` Write the description and body in ${config.language}, but keep the type and scope in English.`
+      : "",
+    format: STYLE_INSTRUCTIONS[config.style](config),
+    examples: examples.length
+      ? `\n\nRecent commit subjects in this repository; match their style:\n${examples
+          .map((example) => `- ${example}`)
+          .join("\n")}`
+      : "",
+  };
+  // Substitute in a single pass so braces inside the intent or diff are left alone.
+  return config.prompt.replace(/\{(\w+)\}/g, (placeholder, key) =>
+    key in values ? values[key] : placeholder
+  );
+};
+
+/**
+ * Constructs the follow-up request asking the model to fix the rules its
+ * previous answer broke.
+ * @param {Array<{message: string}>} violations - The lint violations to fix.
+ * @returns {string} The corrective request.
+ */
+export const constructRepairPrompt = (violations) => {
+  const problems = violations
+    .map((violation) => `- ${violation.message}`)
+    .join("\n");
+  return `Your answer breaks these rules:\n${problems}\n\nReturn a corrected commit message that follows all of the rules.`;
+};
+
+/**
+ * Constructs the follow-up request asking the model to rewrite its previous answer.
+ * The original intent and diff stay earlier in the conversation.
+ * @param {string} [hint] - How the message should change (e.g. "more concise").
+ * @returns {string} The rewrite request.
+ */
+export const constructRewritePrompt = (hint) =>
+  `Rewrite that commit message${
+    hint ? ` to be ${hint}` : ""
+  }. Keep following the instructions above and return only the commit message.`;
+
+/**
+ * Follow-up requests for revising an existing commit message. The old message
+ * is sent as the model's previous answer, right after the prompt.
+ */
+const REVISION_INSTRUCTIONS = {
+  amend:
+    "That is the message of the commit being amended. The changes above are the whole amended commit, including any newly staged changes. Update the message so it describes all of them, keeping what still applies.",
+  reword:
+    "That is the commit's current message. Improve it so it accurately describes the changes above, keeping the details that are still correct.",
+  merge:
+    "That is the message git prepared for this merge commit, and the changes above are what the merge brings in. Improve it so it says what is merged and why, keeping the names of the merged branches.",
+  "cherry-pick":
+    "That is the message of the commit being cherry-picked. Adapt it to the changes above as they apply here, keeping any reference to the original commit.",
+  revert:
+    "That is the message git prepared for reverting a commit. Improve it so it says what is undone and why, keeping the reference to the reverted commit.",
+};
+
+/**
+ * Constructs the follow-up request asking the model to revise an existing
+ * message: that of a commit that is amended or reworded, or the one git
+ * prepared for a merge, cherry-pick or revert.
+ * @param {'amend'|'reword'|'merge'|'cherry-pick'|'revert'} kind - Why the message is revised.
+ * @returns {string} The revision request.
+ */
+export const constructRevisionPrompt = (kind) =>
+  `${REVISION_INSTRUCTIONS[kind]} Keep following the instructions above and return only the commit message.`;
+
+/**
+ * Constructs the prompt asking the model to group the staged files into
+ * separate logical commits (see services/split.js).
+ * @param {string} rawCommit - The user's intent for the whole change set.
+ * @param {string} diffContext - The staged file changes and patch.
+ * @param {string[]} files - The staged file paths.
+ * @returns {string} The prompt.
+ */
+export const constructSplitPrompt = (rawCommit, diffContext, files) =>
+  `You are an expert at organizing Git history. The staged changes below may touch unrelated areas. Group the files into logical commits, each one a single coherent change. The user's intent is: "${rawCommit}".
+
+Staged files:
+${files.map((file) => `- ${file}`).join("\n")}
+
+${diffContext}
+
+Return only a JSON array with one object per commit, in the order they should be committed: [{"title": "<short description of the change>", "files": ["<path>", ...]}]. Every file must appear in exactly one group. Use a single group if the changes belong together.`;
+
+/**
+ * Resolves the provider, model and base URL to use from the effective configuration,
+ * filling in the provider's defaults for anything not configured.
+ * @param {{provider: string, model: string|null, baseUrl: string|null, timeout?: number, retries?: number, cache?: string, cacheDir?: string|null, cacheTtl?: number, cacheMaxSize?: number}} config - The effective configuration.
+ * @returns {{provider: string, label: string, model: string, baseUrl: string, timeout: number, retries: number, cache: {mode: string, dir: string, ttl: number, maxSize: number}}} The resolved settings.
+ * @throws {Error} If the configured provider is not supported.
+ */
+export const resolveProviderSettings = (config) => {
+  const provider = PROVIDERS[config.provider];
+  if (!provider) {
+    throw new Error(
+      `Unknown provider "${
+        config.provider
+      }". Supported providers: ${Object.keys(PROVIDERS).join(", ")}.`
+    );
+  }
+
+  return {
+    provider: config.provider,
+    label: provider.label,
+    model: config.model || provider.DEFAULT_MODEL,
+    baseUrl: (config.baseUrl || provider.DEFAULT_BASE_URL).replace(/\/+$/, ""),
+    timeout: config.timeout ?? DEFAULTS.timeout,
+    retries: config.retries ?? DEFAULTS.retries,
+    cache: {
+      mode: config.cache ?? DEFAULTS.cache,
+      dir: config.cacheDir || getCacheDir(),
+      ttl: config.cacheTtl ?? DEFAULTS.cacheTtl,
+      maxSize: config.cacheMaxSize ?? DEFAULTS.cacheMaxSize,
+    },
+  };
+};
+
+/**
+ * Checks whether the resolved provider needs an API key to be usable.
+ * Replaying recorded responses never calls the provider, so it needs none.
+ * @param {{provider: string, baseUrl: string, cache?: {mode: string}}} settings - The resolved provider settings.
+ * @returns {boolean} True if an API key is required.
+ */
+export const requiresApiKey = (settings) =>
+  settings.cache?.mode !== "replay" &&
+  PROVIDERS[settings.provider].requiresApiKey(settings);
+
+/**
+ * Fetches commit message suggestions from the configured provider, or from
+ * the response cache (see services/cache.js). Every request is written to the
+ * usage log (see services/usage.js).
+ * The results are cleaned up, and empty or duplicate candidates are dropped.
+ * @param {{provider: string, label: string, model: string, baseUrl: string, apiKey: string|null, timeout?: number, retries?: number, signal?: AbortSignal, cache?: object}} settings - The resolved provider settings and API key, plus an optional signal to cancel the request.
+ * @param {Array<{role: 'user'|'assistant', content: string}>} messages - The conversation so far, ending with a user turn.
+ * @param {number} [count=1] - The number of candidates to request.
+ * @returns {Promise<string[]>} The distinct AI-generated commit messages.
+ * @throws {ProviderError} If the request fails or no usable message comes back (see services/http.js).
+ */
+export const getCommitSuggestions = async (settings, messages, count = 1) => {
+  const started = Date.now();
+  let usage = null;
+  let suggestions;
+  try {
+    suggestions = await withCache(settings, messages, count, async () => {
+      const response = await PROVIDERS[settings.provider].getCommitSuggestions(
+        settings,
+        messages,
+        count
+      );
+      usage = response.usage;
+      return response.texts;
+    });
+  } catch (error) {
+    recordRequest(settings, {
+      latencyMs: Date.now() - started,
+      usage,
+      cached: false,
+      error,
+    });
+    throw error;
+  }
+  recordRequest(settings, {
+    latencyMs: Date.now() - started,
+    usage,
+    cached: !usage,
+  });
+  // Clean up any markdown fences or backticks the model wrapped the messages in.
+  const distinct = dedupeMessages(
+    suggestions.map(cleanSuggestion).filter(Boolean)
+  );
+  if (!distinct.length) {
+    throw new EmptyResponseError(
+      `${settings.label} returned no suggestion.`,
+      "Try again, or use a different model."
+    );
+  }
+  return distinct;
+};
+
+/**
+ * Removes messages that only differ in case or whitespace, keeping the first.
+ * @param {string[]} messages - The messages.
+ * @returns {string[]} The distinct messages, in their original order.
+ */
+export const dedupeMessages = (messages) => {
+  const seen = new Set();
+  return messages.filter((message) => {
+    const key = message.toLowerCase().replace(/\s+/g, " ").trim();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
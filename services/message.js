@@ -0,0 +1,198 @@
+/**
+ * @file This module parses, cleans up and formats commit messages.
+ * A message is made of a subject line, an optional body and optional trailing
+ * footers (e.g. `BREAKING CHANGE: ...`, `Refs: #123`).
+ */
+
+export const BODY_LINE_WIDTH = 72;
+
+/**
+ * Supported message styles: a single subject line, or subject + body + footers.
+ */
+export const MESSAGE_STYLES = ["oneline", "full"];
+
+/**
+ * The one-word footer tokens in common use. Other footers must have a
+ * hyphenated token (`Signed-off-by`, `Change-Id`), so that a closing prose
+ * line such as "Note: this changes the default" stays in the body.
+ */
+const FOOTER_WORDS = [
+  "Refs",
+  "Ref",
+  "References",
+  "Closes",
+  "Close",
+  "Fixes",
+  "Fix",
+  "Resolves",
+  "Resolve",
+  "Issue",
+  "Ticket",
+  "Cc",
+];
+
+/** Matches a git trailer / Conventional Commits footer line. */
+const FOOTER_PATTERN = new RegExp(
+  `^(BREAKING CHANGE|BREAKING-CHANGE|[A-Za-z]\\w*(?:-\\w+)+|${FOOTER_WORDS.join("|")})(: | #)\\S`
+);
+
+/** Matches the start of a list item, capturing its marker and indentation. */
+const LIST_ITEM_PATTERN = /^(\s*(?:[-*]|\d+[.)])\s+)/;
+
+/**
+ * Cleans up raw model output so it can be used as a commit message.
+ * Removes surrounding markdown code fences and backticks, normalizes line endings,
+ * strips trailing whitespace and collapses runs of blank lines.
+ * @param {string} text - The raw text returned by the model.
+ * @returns {string} The cleaned-up message.
+ */
+export const cleanSuggestion = (text) => {
+  let cleaned = text.replace(/\r\n?/g, "\n").trim();
+  // Unwrap a fenced block such as ```text\n...\n```.
+  const fenced = cleaned.match(/^```[\w-]*\n([\s\S]*?)\n```$/);
+  if (fenced) cleaned = fenced[1];
+  return cleaned
+    .replace(/^`+|`+$/g, "")
+    .split("\n")
+    .map((line) => line.trimEnd())
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+};
+
+/** The marker below which git discards everything (see `git commit --cleanup=scissors`). */
+const SCISSORS_PATTERN = /^# -+ >8 -+$/;
+
+/**
+ * Cleans up a message the user edited, the way `git commit --cleanup=strip` does:
+ * drops comment lines and anything below a scissors line, strips trailing
+ * whitespace and collapses runs of blank lines.
+ * @param {string} text - The edited text.
+ * @returns {string} The cleaned-up message (empty if only comments remained).
+ */
+export const stripComments = (text) => {
+  const lines = text.replace(/\r\n?/g, "\n").split("\n");
+  const scissors = lines.findIndex((line) => SCISSORS_PATTERN.test(line));
+  return (scissors === -1 ? lines : lines.slice(0, scissors))
+    .filter((line) => !line.startsWith("#"))
+    .map((line) => line.trimEnd())
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+};
+
+/**
+ * Splits a commit message into its subject, body and footers.
+ * @param {string} message - The full commit message.
+ * @returns {{subject: string, body: string, footers: string[]}} The message parts.
+ */
+export const parseMessage = (message) => {
+  const [subject = "", ...rest] = message.trim().split("\n");
+  const paragraphs = rest
+    .join("\n")
+    .trim()
+    .split(/\n\s*\n/)
+    .filter(Boolean);
+
+  let footers = [];
+  const last = paragraphs[paragraphs.length - 1];
+  if (last) {
+    const lines = last.split("\n");
+    // Footer values may continue on indented lines, as with git trailers.
+    if (
+      FOOTER_PATTERN.test(lines[0]) &&
+      lines.every((line) => FOOTER_PATTERN.test(line) || /^\s+\S/.test(line))
+    ) {
+      footers = lines.reduce((acc, line) => {
+        if (FOOTER_PATTERN.test(line)) acc.push(line);
+        else acc[acc.length - 1] += `\n${line}`;
+        return acc;
+      }, []);
+      paragraphs.pop();
+    }
+  }
+
+  return { subject: subject.trim(), body: paragraphs.join("\n\n"), footers };
+};
+
+/**
+ * Wraps a single line of text at the given width, indenting continuation lines.
+ * Words longer than the width (e.g. URLs) are kept intact on their own line.
+ * @param {string} line - The line to wrap.
+ * @param {number} width - The maximum line width.
+ * @param {string} [indent=""] - The prefix for continuation lines.
+ * @returns {string[]} The wrapped lines.
+ */
+const wrapLine = (line, width, indent = "") => {
+  const words = line.trim().split(/\s+/);
+  const leading = line.match(/^\s*/)[0];
+  const lines = [];
+  let current = leading;
+  for (const word of words) {
+    const candidate = current.trim()
+      ? `${current} ${word}`
+      : `${current}${word}`;
+    if (candidate.length > width && current.trim()) {
+      lines.push(current);
+      current = `${indent}${word}`;
+    } else {
+      current = candidate;
+    }
+  }
+  lines.push(current);
+  return lines;
+};
+
+/**
+ * Re-wraps a message body at the given width. Paragraphs are reflowed, list items
+ * are wrapped with a hanging indent, and indented code lines are left untouched.
+ * @param {string} body - The body text.
+ * @param {number} [width=BODY_LINE_WIDTH] - The maximum line width.
+ * @returns {string} The wrapped body.
+ */
+export const wrapBody = (body, width = BODY_LINE_WIDTH) => {
+  return body
+    .split(/\n\s*\n/)
+    .map((paragraph) => {
+      const blocks = [];
+      for (const line of paragraph.split("\n")) {
+        const listItem = line.match(LIST_ITEM_PATTERN);
+        if (/^( {4}|\t)/.test(line) && !listItem) {
+          blocks.push({ text: line, verbatim: true });
+        } else if (
+          listItem ||
+          !blocks.length ||
+          blocks[blocks.length - 1].verbatim
+        ) {
+          blocks.push({
+            text: line,
+            indent: listItem ? " ".repeat(listItem[1].length) : "",
+          });
+        } else {
+          // A plain continuation line joins the current paragraph or list item.
+          blocks[blocks.length - 1].text += ` ${line.trim()}`;
+        }
+      }
+      return blocks
+        .flatMap((block) =>
+          block.verbatim
+            ? [block.text]
+            : wrapLine(block.text, width, block.indent)
+        )
+        .join("\n");
+    })
+    .join("\n\n");
+};
+
+/**
+ * Formats a commit message: subject, blank line, wrapped body, blank line, footers.
+ * @param {string} message - The commit message to format.
+ * @param {number} [width=BODY_LINE_WIDTH] - The maximum body line width.
+ * @returns {string} The formatted message.
+ */
+export const formatMessage = (message, width = BODY_LINE_WIDTH) => {
+  const { subject, body, footers } = parseMessage(message);
+  return [subject, body && wrapBody(body, width), footers.join("\n")]
+    .filter(Boolean)
+    .join("\n\n");
+};
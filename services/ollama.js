@@ -0,0 +1,54 @@
+/**
+ * @file This module handles interactions with a local or self-hosted Ollama server.
+ * It uses Ollama's native chat endpoint, so no API key is required.
+ */
+
+import { postJson } from "./http.js";
+
+export const name = "ollama";
+export const label = "Ollama";
+export const DEFAULT_MODEL = "llama3";
+export const DEFAULT_BASE_URL = "http://localhost:11434";
+
+/**
+ * Ollama servers do not use API keys.
+ * @returns {boolean} False.
+ */
+export const requiresApiKey = () => false;
+
+/**
+ * Fetches one or more commit message suggestions from an Ollama server.
+ * Ollama has no option for multiple completions, so candidates are requested in parallel.
+ * @param {{model: string, baseUrl: string, timeout?: number, retries?: number, signal?: AbortSignal}} settings - The resolved provider settings.
+ * @param {Array<{role: 'user'|'assistant', content: string}>} messages - The conversation to send.
+ * @param {number} [count=1] - The number of candidates to request.
+ * @returns {Promise<{texts: string[], usage: {promptTokens: number|null, responseTokens: number|null}}>} The raw generated texts and the tokens the request used, summed over the parallel requests.
+ * @throws {ProviderError} If a request fails.
+ */
+export const getCommitSuggestions = async (
+  { model, baseUrl, timeout, retries, signal },
+  messages,
+  count = 1
+) => {
+  const responses = await Promise.all(
+    Array.from({ length: count }, () =>
+      postJson(
+        { name, label },
+        `${baseUrl}/api/chat`,
+        { model, messages, stream: false },
+        { timeout, retries, signal }
+      )
+    )
+  );
+  const total = (key) =>
+    responses.every((data) => data[key] != null)
+      ? responses.reduce((sum, data) => sum + data[key], 0)
+      : null;
+  return {
+    texts: responses.map((data) => data.message?.content || ""),
+    usage: {
+      promptTokens: total("prompt_eval_count"),
+      responseTokens: total("eval_count"),
+    },
+  };
+};
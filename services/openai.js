@@ -0,0 +1,60 @@
+/**
+ * @file This module handles interactions with OpenAI-compatible chat completion APIs.
+ * Any server implementing `POST /chat/completions` (OpenAI, vLLM, llama.cpp, LM Studio, ...)
+ * can be used by pointing the base URL at it.
+ */
+
+import { SafetyError, postJson } from "./http.js";
+
+export const name = "openai";
+export const label = "OpenAI";
+export const DEFAULT_MODEL = "gpt-4o-mini";
+export const DEFAULT_BASE_URL = "https://api.openai.com/v1";
+
+/**
+ * A key is only mandatory for the hosted OpenAI API; self-hosted compatible
+ * servers usually run without authentication.
+ * @param {{baseUrl: string}} settings - The resolved provider settings.
+ * @returns {boolean} True if an API key must be provided.
+ */
+export const requiresApiKey = ({ baseUrl }) => baseUrl === DEFAULT_BASE_URL;
+
+/**
+ * Fetches one or more commit message suggestions from a chat completions endpoint.
+ * @param {{apiKey: string|null, model: string, baseUrl: string, timeout?: number, retries?: number, signal?: AbortSignal}} settings - The resolved provider settings.
+ * @param {Array<{role: 'user'|'assistant', content: string}>} messages - The conversation to send.
+ * @param {number} [count=1] - The number of candidates to request (`n`).
+ * @returns {Promise<{texts: string[], usage: {promptTokens: number|null, responseTokens: number|null}}>} The raw generated texts and the tokens the request used, as reported by the provider.
+ * @throws {ProviderError} If the request fails or the answer was filtered.
+ */
+export const getCommitSuggestions = async (
+  { apiKey, model, baseUrl, timeout, retries, signal },
+  messages,
+  count = 1
+) => {
+  const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+  const data = await postJson(
+    { name, label },
+    `${baseUrl}/chat/completions`,
+    { model, messages, ...(count > 1 && { n: count }) },
+    { headers, timeout, retries, signal }
+  );
+
+  const choices = data.choices || [];
+  if (
+    choices.length &&
+    choices.every((choice) => choice.finish_reason === "content_filter")
+  ) {
+    throw new SafetyError(
+      `${label} withheld the answer (content filter).`,
+      "Rephrase your intent, or leave the files that triggered the filter out of the commit."
+    );
+  }
+  return {
+    texts: choices.map((choice) => choice.message?.content || ""),
+    usage: {
+      promptTokens: data.usage?.prompt_tokens ?? null,
+      responseTokens: data.usage?.completion_tokens ?? null,
+    },
+  };
+};
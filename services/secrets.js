@@ -0,0 +1,342 @@
+/**
+ * @file This module scans the text about to be sent to a model provider for
+ * secrets (cloud keys, private keys, tokens, `.env` files, high-entropy strings)
+ * and redacts them. The diff context is scanned as it will be sent, so findings
+ * point at the file and line of the staged change.
+ */
+
+/** The patterns checked on every line, with a stable id usable in the ignore-list. */
+export const SECRET_RULES = [
+  {
+    id: "aws-access-key",
+    description: "AWS access key ID",
+    pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g,
+  },
+  {
+    id: "aws-secret-key",
+    description: "AWS secret access key",
+    pattern: /aws.{0,20}?(?:secret|key).{0,20}?["'=:\s]([0-9A-Za-z/+]{40})\b/gi,
+  },
+  {
+    id: "private-key",
+    description: "Private key",
+    pattern: /-----BEGIN (?:[A-Z]+ )*PRIVATE KEY(?: BLOCK)?-----/g,
+  },
+  {
+    id: "google-api-key",
+    description: "Google API key",
+    pattern: /\bAIza[0-9A-Za-z_-]{35}\b/g,
+  },
+  {
+    id: "openai-api-key",
+    description: "OpenAI API key",
+    pattern: /\bsk-(?:proj-)?[0-9A-Za-z_-]{20,}/g,
+  },
+  {
+    id: "github-token",
+    description: "GitHub token",
+    pattern: /\b(?:gh[pousr]_[0-9A-Za-z]{36,}|github_pat_[0-9A-Za-z_]{22,})\b/g,
+  },
+  {
+    id: "slack-token",
+    description: "Slack token",
+    pattern: /\bxox[abposr]-[0-9A-Za-z-]{10,}/g,
+  },
+  {
+    id: "password-assignment",
+    description: "Hard-coded password or secret",
+    pattern:
+      /(?:password|passwd|secret|token|api[_-]?key)["']?\s*[:=]\s*["']([^"'\s]{8,})["']/gi,
+  },
+];
+
+/** Files that usually hold credentials; their contents are never sent. */
+const SENSITIVE_FILE_PATTERNS = [
+  /(^|\/)\.env(\.(?!example$|sample$|template$)[^/]+)?$/,
+  /\.(pem|key|p12|pfx|keystore|jks)$/,
+  /(^|\/)id_(rsa|dsa|ecdsa|ed25519)$/,
+  /(^|\/)\.(npmrc|pypirc|netrc)$/,
+  /(^|\/)credentials(\.json)?$/,
+];
+
+/** Long runs of token characters, checked for randomness. */
+const TOKEN_PATTERN = /[A-Za-z0-9+/_=-]{24,}/g;
+
+/** Shannon entropy (bits per character) above which a token looks random. */
+const ENTROPY_THRESHOLD = 4.2;
+
+const HIGH_ENTROPY_RULE = {
+  id: "high-entropy",
+  description: "High-entropy string (possible secret)",
+};
+
+const SENSITIVE_FILE_RULE = {
+  id: "sensitive-file",
+  description: "File that usually holds credentials",
+};
+
+/**
+ * Computes the Shannon entropy of a string.
+ * @param {string} text - The string.
+ * @returns {number} The entropy in bits per character.
+ */
+const entropy = (text) => {
+  const counts = {};
+  for (const char of text) counts[char] = (counts[char] || 0) + 1;
+  return Object.values(counts).reduce((sum, count) => {
+    const p = count / text.length;
+    return sum - p * Math.log2(p);
+  }, 0);
+};
+
+/**
+ * Converts a glob (`*`, `**` and `?`) to a regular expression.
+ * @param {string} glob - The glob pattern.
+ * @returns {RegExp} The equivalent regular expression.
+ */
+const globToRegExp = (glob) => {
+  const source = glob
+    .split("**")
+    .map((part) =>
+      part
+        .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+        .replace(/\*/g, "[^/]*")
+        .replace(/\?/g, "[^/]")
+    )
+    .join(".*");
+  return new RegExp(`^${source}$`);
+};
+
+/**
+ * Builds a predicate telling whether a finding is covered by the ignore-list.
+ * Entries that name a rule id ignore that rule everywhere; any other entry is
+ * a glob matched against file paths.
+ * @param {string[]} [ignore=[]] - The `secretScanIgnore` setting.
+ * @returns {function(string, string|null): boolean} Called with a rule id and a file path.
+ */
+const buildIgnore = (ignore = []) => {
+  const ruleIds = new Set(
+    [...SECRET_RULES, HIGH_ENTROPY_RULE, SENSITIVE_FILE_RULE].map(
+      (rule) => rule.id
+    )
+  );
+  const rules = ignore.filter((entry) => ruleIds.has(entry));
+  const globs = ignore.filter((entry) => !ruleIds.has(entry)).map(globToRegExp);
+  return (ruleId, file) =>
+    rules.includes(ruleId) ||
+    (file !== null && globs.some((glob) => glob.test(file)));
+};
+
+/**
+ * Finds the secrets in a single line of text.
+ * @param {string} text - The line.
+ * @param {function(string): boolean} isIgnored - Tells whether a rule id is ignored here.
+ * @returns {Array<{rule: string, description: string, match: string}>} The secrets found.
+ */
+const scanLine = (text, isIgnored) => {
+  const found = [];
+  for (const rule of SECRET_RULES) {
+    if (isIgnored(rule.id)) continue;
+    for (const match of text.matchAll(rule.pattern)) {
+      // Rules with a capture group only flag the captured value.
+      found.push({
+        rule: rule.id,
+        description: rule.description,
+        match: match[1] || match[0],
+      });
+    }
+  }
+  if (!isIgnored(HIGH_ENTROPY_RULE.id)) {
+    for (const [token] of text.matchAll(TOKEN_PATTERN)) {
+      const known = found.some(
+        ({ match }) => match.includes(token) || token.includes(match)
+      );
+      // Mixed letters and digits keep long identifiers and words out.
+      if (
+        !known &&
+        /[0-9]/.test(token) &&
+        /[A-Za-z]/.test(token) &&
+        entropy(token) > ENTROPY_THRESHOLD
+      ) {
+        found.push({
+          rule: HIGH_ENTROPY_RULE.id,
+          description: HIGH_ENTROPY_RULE.description,
+          match: token,
+        });
+      }
+    }
+  }
+  return found;
+};
+
+/**
+ * Walks through a diff context, keeping track of the file and the line number
+ * each patch line belongs to.
+ * @param {string} context - The diff context built by `buildDiffContext`.
+ * @returns {Array<{text: string, file: string|null, line: number|null, content: boolean}>} One entry per line; `content` is true for patch lines holding file contents.
+ */
+const walkDiffContext = (context) => {
+  let file = null;
+  let oldLine = 0;
+  let newLine = 0;
+  let inHunk = false;
+  return context.split("\n").map((text) => {
+    if (text.startsWith("diff --git ")) {
+      file = text.slice(text.lastIndexOf(" b/") + 3);
+      inHunk = false;
+      return { text, file, line: null, content: false };
+    }
+    const hunk = text.match(/^@@ -(\d+)(?:,\d+)? \+(\d+)(?:,\d+)? @@/);
+    if (hunk) {
+      oldLine = Number(hunk[1]);
+      newLine = Number(hunk[2]);
+      inHunk = true;
+      return { text, file, line: null, content: false };
+    }
+    // The closing fence ends the patch block; the file summaries follow it.
+    if (text.startsWith("```")) {
+      file = null;
+      inHunk = false;
+    }
+    if (!inHunk || !/^[ +-]/.test(text)) {
+      return { text, file, line: null, content: false };
+    }
+    if (text.startsWith("-")) {
+      return { text, file, line: oldLine++, content: true };
+    }
+    if (text.startsWith("+")) {
+      return { text, file, line: newLine++, content: true };
+    }
+    oldLine++;
+    return { text, file, line: newLine++, content: true };
+  });
+};
+
+/**
+ * Checks whether a path names a file that usually holds credentials.
+ * @param {string} file - The file path.
+ * @returns {boolean} True for `.env` files, private keys and similar.
+ */
+export const isSensitiveFile = (file) =>
+  SENSITIVE_FILE_PATTERNS.some((pattern) => pattern.test(file));
+
+/** The free-text parts of a request, with the location their findings are reported at. */
+const TEXT_FIELDS = {
+  intent: "commit intent",
+  revision: "message being revised",
+  rewriteHint: "rewrite hint",
+};
+
+/**
+ * Scans the text about to be sent to the provider.
+ * @param {{intent?: string, revision?: string, rewriteHint?: string, diffContext?: string}} request - The user's intent, the message being revised, a rewrite hint and the diff context; missing parts are skipped.
+ * @param {string[]} [ignore=[]] - Rule ids and path globs to skip (the `secretScanIgnore` setting).
+ * @returns {Array<{rule: string, description: string, location: string, file: string|null, line: number|null, preview: string}>} The findings, in order.
+ */
+export const scanRequest = (request, ignore = []) => {
+  const isIgnored = buildIgnore(ignore);
+  const findings = [];
+  const preview = (match) =>
+    match.length > 8 ? `${match.slice(0, 4)}…${match.slice(-2)}` : "…";
+
+  for (const [field, location] of Object.entries(TEXT_FIELDS)) {
+    if (typeof request[field] !== "string") continue;
+    for (const { description, rule, match } of scanLine(request[field], (id) =>
+      isIgnored(id, null)
+    )) {
+      findings.push({
+        rule,
+        description,
+        location,
+        file: null,
+        line: null,
+        preview: preview(match),
+      });
+    }
+  }
+
+  const sensitiveReported = new Set();
+  for (const { text, file, line, content } of walkDiffContext(
+    request.diffContext || ""
+  )) {
+    if (!content) continue;
+    const location = `${file}:${line}${
+      text.startsWith("-") ? " (removed)" : ""
+    }`;
+    if (isSensitiveFile(file) && !isIgnored(SENSITIVE_FILE_RULE.id, file)) {
+      if (!sensitiveReported.has(file)) {
+        sensitiveReported.add(file);
+        findings.push({
+          rule: SENSITIVE_FILE_RULE.id,
+          description: SENSITIVE_FILE_RULE.description,
+          location: file,
+          file,
+          line: null,
+          preview: "",
+        });
+      }
+      continue;
+    }
+    for (const { description, rule, match } of scanLine(text.slice(1), (id) =>
+      isIgnored(id, file)
+    )) {
+      findings.push({
+        rule,
+        description,
+        location,
+        file,
+        line,
+        preview: preview(match),
+      });
+    }
+  }
+  return findings;
+};
+
+/**
+ * Redacts the secrets `scanRequest` would report. Matches are replaced with
+ * `[REDACTED:<rule>]`, and the patch lines of sensitive files are dropped.
+ * @param {{intent?: string, revision?: string, rewriteHint?: string, diffContext?: string}} request - The request, as given to `scanRequest`.
+ * @param {string[]} [ignore=[]] - Rule ids and path globs to skip (the `secretScanIgnore` setting).
+ * @returns {{intent?: string, revision?: string, rewriteHint?: string, diffContext?: string}} The redacted request.
+ */
+export const redactRequest = (request, ignore = []) => {
+  const isIgnored = buildIgnore(ignore);
+  const redactLine = (text, file) =>
+    scanLine(text, (id) => isIgnored(id, file)).reduce(
+      (current, { rule, match }) =>
+        current.split(match).join(`[REDACTED:${rule}]`),
+      text
+    );
+
+  const withheld = new Set();
+  const lines = [];
+  for (const { text, file, content } of walkDiffContext(
+    request.diffContext || ""
+  )) {
+    if (!content) {
+      lines.push(text);
+      continue;
+    }
+    if (isSensitiveFile(file) && !isIgnored(SENSITIVE_FILE_RULE.id, file)) {
+      if (!withheld.has(file)) {
+        withheld.add(file);
+        lines.push(
+          ` [contents of ${file} withheld: it may contain credentials]`
+        );
+      }
+      continue;
+    }
+    lines.push(text[0] + redactLine(text.slice(1), file));
+  }
+  const redacted = { ...request };
+  for (const field of Object.keys(TEXT_FIELDS)) {
+    if (typeof request[field] === "string") {
+      redacted[field] = redactLine(request[field], null);
+    }
+  }
+  if (typeof request.diffContext === "string") {
+    redacted.diffContext = lines.join("\n");
+  }
+  return redacted;
+};
@@ -0,0 +1,124 @@
+/**
+ * @file This module groups staged files into separate logical commits: by
+ * directory, from a grouping proposed by the model, or from the user's edit of
+ * a proposal. Committing the groups is done by `git.commitInGroups`.
+ */
+
+/** The title of the group collecting files a proposal left out. */
+const REMAINING_TITLE = "Other changes";
+
+/**
+ * Groups files by directory. The directories the files have in common are
+ * skipped, so `src/api/a.js` and `src/ui/b.js` end up in `src/api` and `src/ui`.
+ * @param {string[]} files - The staged file paths.
+ * @returns {Array<{title: string, files: string[]}>} The groups, in order of first appearance.
+ */
+export const groupByDirectory = (files) => {
+  const dirs = files.map((file) => file.split("/").slice(0, -1));
+  let common = 0;
+  while (
+    dirs.every((dir) => dir.length > common) &&
+    dirs.every((dir) => dir[common] === dirs[0][common])
+  ) {
+    common++;
+  }
+
+  const groups = new Map();
+  files.forEach((file, index) => {
+    const title = dirs[index].slice(0, common + 1).join("/") || "(root)";
+    if (!groups.has(title)) groups.set(title, []);
+    groups.get(title).push(file);
+  });
+  return [...groups].map(([title, groupFiles]) => ({
+    title,
+    files: groupFiles,
+  }));
+};
+
+/**
+ * Makes a list of groups cover every staged file exactly once: unknown paths
+ * and repeats are dropped, empty groups removed, and missing files collected
+ * in a final group.
+ * @param {Array<{title: string, files: string[]}>} groups - The proposed groups.
+ * @param {string[]} files - The staged file paths.
+ * @returns {Array<{title: string, files: string[]}>} The complete groups.
+ */
+const completeGroups = (groups, files) => {
+  const remaining = new Set(files);
+  const complete = groups
+    .map(({ title, files: groupFiles }) => ({
+      title,
+      files: groupFiles.filter((file) => remaining.delete(file)),
+    }))
+    .filter((group) => group.files.length);
+  if (remaining.size) {
+    complete.push({ title: REMAINING_TITLE, files: [...remaining] });
+  }
+  return complete;
+};
+
+/**
+ * Parses the grouping the model proposed in answer to `llm.constructSplitPrompt`.
+ * @param {string} text - The model's answer: a JSON array of `{title, files}` objects.
+ * @param {string[]} files - The staged file paths.
+ * @returns {Array<{title: string, files: string[]}>} The groups.
+ * @throws {Error} If the answer holds no usable JSON array.
+ */
+export const parseGroupProposal = (text, files) => {
+  const start = text.indexOf("[");
+  const end = text.lastIndexOf("]");
+  let proposal;
+  try {
+    proposal = JSON.parse(text.slice(start, end + 1));
+  } catch (error) {
+    throw new Error("The model did not return a valid grouping.");
+  }
+  if (!Array.isArray(proposal)) {
+    throw new Error("The model did not return a valid grouping.");
+  }
+  return completeGroups(
+    proposal
+      .filter((group) => group && Array.isArray(group.files))
+      .map((group, index) => ({
+        title: String(group.title || `Group ${index + 1}`),
+        files: group.files.map(String),
+      })),
+    files
+  );
+};
+
+/**
+ * Renders groups as editable text: a `[title]` line followed by one path per line.
+ * @param {Array<{title: string, files: string[]}>} groups - The groups.
+ * @returns {string} The text.
+ */
+export const formatGroups = (groups) =>
+  groups
+    .map(({ title, files }) => [`[${title}]`, ...files].join("\n"))
+    .join("\n\n");
+
+/**
+ * Parses groups edited by the user (see `formatGroups`), with comments already stripped.
+ * @param {string} text - The edited text.
+ * @param {string[]} files - The staged file paths.
+ * @returns {Array<{title: string, files: string[]}>} The groups. Files left out are collected in a final group.
+ * @throws {Error} If a path appears before the first group title.
+ */
+export const parseGroups = (text, files) => {
+  const groups = [];
+  for (const line of text.split("\n").map((entry) => entry.trim())) {
+    if (!line) continue;
+    const title = line.match(/^\[(.*)\]$/);
+    if (title) {
+      groups.push({
+        title: title[1].trim() || `Group ${groups.length + 1}`,
+        files: [],
+      });
+    } else if (!groups.length) {
+      throw new Error(`"${line}" is not under a [group] line.`);
+    } else {
+      groups[groups.length - 1].files.push(line);
+    }
+  }
+  return completeGroups(groups, files);
+};
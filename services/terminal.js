@@ -0,0 +1,87 @@
+/**
+ * @file This module tells whether the tool may prompt the user, and defines
+ * the exit codes scripts and CI jobs can rely on. Without a terminal on both
+ * stdin and stdout, or on a CI server, nothing is ever asked: defaults are
+ * used where there is a safe one, and the tool fails fast otherwise.
+ */
+
+/** The exit codes, one per kind of failure a script may want to handle. */
+export const EXIT_CODES = {
+  SUCCESS: 0,
+  ERROR: 1, // Configuration errors, not a repository and anything unexpected.
+  USAGE: 2,
+  NO_CHANGES: 3,
+  NO_API_KEY: 4,
+  API_ERROR: 5,
+  VALIDATION_FAILED: 6,
+  COMMIT_FAILED: 7,
+  SECRETS_FOUND: 8,
+  CANCELLED: 130,
+};
+
+/** Environment variables set by common CI services. */
+const CI_VARIABLES = [
+  "CI",
+  "CONTINUOUS_INTEGRATION",
+  "BUILD_NUMBER",
+  "GITHUB_ACTIONS",
+  "GITLAB_CI",
+  "CIRCLECI",
+  "TRAVIS",
+  "BUILDKITE",
+  "JENKINS_URL",
+  "TF_BUILD",
+];
+
+/** Set by `--non-interactive`; null means detect it. */
+let interactiveOverride = null;
+
+/**
+ * Forces prompts on or off, whatever the environment. `--non-interactive`
+ * turns them off; tests turn them on to script the answers.
+ * @param {boolean|null} interactive - Whether prompts may be shown, or null to detect it again.
+ */
+export const setInteractive = (interactive) => {
+  interactiveOverride = interactive;
+};
+
+/**
+ * Checks whether the tool runs on a CI server.
+ * @returns {boolean} True if a CI environment variable is set (and not "false").
+ */
+export const isCI = () =>
+  CI_VARIABLES.some(
+    (name) => process.env[name] && process.env[name] !== "false"
+  );
+
+/**
+ * Checks whether the user can be prompted: stdin and stdout are both a
+ * terminal, no CI server was detected and `--non-interactive` was not given.
+ * @returns {boolean} True if prompts may be shown.
+ */
+export const isInteractive = () =>
+  interactiveOverride ??
+  (Boolean(process.stdin.isTTY && process.stdout.isTTY) && !isCI());
+
+/**
+ * Thrown when a prompt is about to be shown without a terminal to answer it.
+ */
+export class PromptError extends Error {
+  constructor(message) {
+    super(
+      `Cannot ask "${message}" without an interactive terminal. Pass the answer as a flag or setting instead.`
+    );
+    this.name = "PromptError";
+  }
+}
+
+/**
+ * Reads everything piped to stdin, e.g. an API key in `echo $KEY | commit-enhancer login`.
+ * @returns {Promise<string>} The input, trimmed; empty if stdin is a terminal.
+ */
+export const readStdin = async () => {
+  if (process.stdin.isTTY) return "";
+  let input = "";
+  for await (const chunk of process.stdin) input += chunk;
+  return input.trim();
+};
@@ -0,0 +1,87 @@
+/**
+ * @file This module finds the issue tracker key in the branch name (e.g.
+ * `PROJ-123` in `feature/PROJ-123-add-login`) and adds it to commit messages
+ * as a subject prefix, the scope or a `Refs:` footer.
+ */
+
+import { GITMOJI_PATTERN, parseHeader } from "./lint.js";
+import { parseMessage } from "./message.js";
+
+/**
+ * Finds the first ticket key in a branch name. If the pattern has a capture
+ * group, its match is the key.
+ * @param {string|null} branch - The current branch name.
+ * @param {string} pattern - The `ticketPattern` setting, a regular expression.
+ * @returns {string|null} The key, or null if the branch has none.
+ */
+export const findTicket = (branch, pattern) => {
+  if (!branch || !pattern) return null;
+  const match = branch.match(new RegExp(pattern));
+  return match ? match[1] || match[0] : null;
+};
+
+/**
+ * Decides where the ticket key goes. "auto" uses a prefix when the repository
+ * writes ticket-prefixed subjects and a footer otherwise. The scope is only
+ * available to Conventional Commits without a scope forced by the user;
+ * otherwise the key becomes a prefix.
+ * @param {string} placement - The `ticketPlacement` setting.
+ * @param {string} commitStyle - The resolved commit style (see services/history.js).
+ * @param {{scope?: string}} header - The scope forced by the user, if any.
+ * @returns {'prefix'|'scope'|'footer'} The placement.
+ */
+export const resolvePlacement = (placement, commitStyle, header) => {
+  if (placement === "auto") {
+    return commitStyle === "ticket" ? "prefix" : "footer";
+  }
+  if (
+    placement === "scope" &&
+    (commitStyle !== "conventional" || header.scope)
+  ) {
+    return "prefix";
+  }
+  return placement;
+};
+
+/**
+ * Puts the ticket key at the start of the subject's description: after the
+ * type and scope of a Conventional Commits header, after a leading gitmoji,
+ * or at the very start.
+ * @param {string} subject - The subject line.
+ * @param {string} ticket - The ticket key.
+ * @returns {string} The prefixed subject.
+ */
+const prefixSubject = (subject, ticket) => {
+  const header = parseHeader(subject);
+  if (header) {
+    const start = subject.length - header.description.length;
+    return `${subject.slice(0, start)}${ticket} ${header.description}`;
+  }
+  const gitmoji = subject.match(GITMOJI_PATTERN);
+  if (gitmoji) {
+    return `${gitmoji[0]} ${ticket}: ${subject
+      .slice(gitmoji[0].length)
+      .trim()}`;
+  }
+  return `${ticket}: ${subject}`;
+};
+
+/**
+ * Adds the ticket key to a message unless it is already where it belongs.
+ * A scope placement is applied through the forced header (see `lint.enforceHeader`),
+ * so it is left alone here.
+ * @param {string} message - The commit message.
+ * @param {{ticket?: string, ticketPlacement?: string}} header - The ticket key and its resolved placement.
+ * @returns {string} The message with the key.
+ */
+export const addTicket = (message, { ticket, ticketPlacement } = {}) => {
+  if (!ticket || ticketPlacement === "scope") return message;
+  if (ticketPlacement === "footer") {
+    if (message.includes(ticket)) return message;
+    const { footers } = parseMessage(message);
+    return `${message}${footers.length ? "\n" : "\n\n"}Refs: ${ticket}`;
+  }
+  const [subject, ...rest] = message.split("\n");
+  if (subject.includes(ticket)) return message;
+  return [prefixSubject(subject, ticket), ...rest].join("\n");
+};
@@ -0,0 +1,238 @@
+/**
+ * @file This module keeps a local log of how the tool is used, so a team can
+ * see how much quota it spends: one line per provider request (tokens,
+ * latency, model and whether it succeeded) and one per run (how it ended and
+ * how many rewrites it took). Nothing leaves the machine. The log is a JSON
+ * Lines file in `$XDG_STATE_HOME/commit-enhancer/usage.jsonl` (or
+ * `~/.local/state/...`), and the `stats` command summarizes it.
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+/** How a run ended: a commit was created, the user gave up, something failed, or the message was only suggested (`--dry-run`, `--json` and the hook). */
+export const OUTCOMES = ["committed", "cancelled", "failed", "suggested"];
+
+/** The run being logged, or null if none is. */
+let currentRun = null;
+
+/**
+ * Returns the path of the usage log.
+ * @returns {string} The file path.
+ */
+export const getUsageLogPath = () =>
+  path.join(
+    process.env.XDG_STATE_HOME || path.join(os.homedir(), ".local", "state"),
+    "commit-enhancer",
+    "usage.jsonl"
+  );
+
+/**
+ * Appends an entry to the usage log. The log is only informative, so failing
+ * to write it is not an error.
+ * @param {object} entry - The entry.
+ */
+const append = (entry) => {
+  const file = getUsageLogPath();
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+    fs.appendFileSync(
+      file,
+      `${JSON.stringify({ time: new Date().toISOString(), ...entry })}\n`,
+      { mode: 0o600 }
+    );
+  } catch (error) {
+    /* Read-only or full disk: carry on without logging. */
+  }
+};
+
+/**
+ * Starts logging a run. Requests made until `finishRun` are attributed to it.
+ * @param {string} command - The subcommand (e.g. "commit", "reword", "hook").
+ * @param {string|null} repo - The repository's top-level directory.
+ * @param {{usageLog: boolean}} config - The effective configuration; nothing is logged if `usageLog` is off.
+ */
+export const startRun = (command, repo, config) => {
+  currentRun = config.usageLog
+    ? { id: crypto.randomUUID(), command, repo, rewrites: 0, edits: 0 }
+    : null;
+};
+
+/**
+ * Counts a rewrite or a manual edit in the current run.
+ * @param {'rewrites'|'edits'} kind - What the user did.
+ */
+export const count = (kind) => {
+  if (currentRun) currentRun[kind]++;
+};
+
+/**
+ * Logs a provider request made during the current run.
+ * @param {{provider: string, model: string}} settings - The resolved provider settings.
+ * @param {object} details - What happened.
+ * @param {number} details.latencyMs - How long the request took, retries included.
+ * @param {{promptTokens: number|null, responseTokens: number|null}|null} details.usage - The tokens used, or null if the provider was not called.
+ * @param {boolean} details.cached - Whether the answer came from the response cache.
+ * @param {Error} [details.error] - The error, if the request failed.
+ */
+export const recordRequest = (
+  { provider, model },
+  { latencyMs, usage, cached, error }
+) => {
+  if (!currentRun) return;
+  append({
+    type: "request",
+    run: currentRun.id,
+    repo: currentRun.repo,
+    provider,
+    model,
+    promptTokens: usage?.promptTokens ?? null,
+    responseTokens: usage?.responseTokens ?? null,
+    latencyMs,
+    cached,
+    error: error ? error.name : null,
+  });
+};
+
+/**
+ * Logs how the current run ended and stops logging it.
+ * @param {'committed'|'cancelled'|'failed'|'suggested'} outcome - How the run ended.
+ * @param {number} [commits] - The commits created; one for a committed run unless it split the changes.
+ */
+export const finishRun = (
+  outcome,
+  commits = outcome === "committed" ? 1 : 0
+) => {
+  if (!currentRun) return;
+  const { id, command, repo, rewrites, edits } = currentRun;
+  append({
+    type: "run",
+    run: id,
+    command,
+    repo,
+    outcome,
+    commits,
+    rewrites,
+    edits,
+  });
+  currentRun = null;
+};
+
+/**
+ * Reads the usage log, skipping lines that cannot be parsed.
+ * @param {string} [file] - The log file; defaults to `getUsageLogPath()`.
+ * @returns {Array<object>} The entries, oldest first.
+ */
+export const readUsage = (file = getUsageLogPath()) => {
+  if (!fs.existsSync(file)) return [];
+  return fs
+    .readFileSync(file, "utf8")
+    .split("\n")
+    .filter(Boolean)
+    .flatMap((line) => {
+      try {
+        return [JSON.parse(line)];
+      } catch (error) {
+        return [];
+      }
+    });
+};
+
+/**
+ * Creates an empty row of the summary.
+ * @param {string} key - The day, repository or model the row is about.
+ * @returns {object} The row.
+ */
+const emptyRow = (key) => ({
+  key,
+  requests: 0,
+  cached: 0,
+  failed: 0,
+  promptTokens: 0,
+  responseTokens: 0,
+  latencyMs: 0,
+  runs: 0,
+  commits: 0,
+});
+
+/**
+ * Adds a log entry to a row of the summary.
+ * @param {object} row - The row.
+ * @param {object} entry - The log entry.
+ */
+const add = (row, entry) => {
+  if (entry.type === "request") {
+    row.requests++;
+    if (entry.cached) row.cached++;
+    if (entry.error) row.failed++;
+    row.promptTokens += entry.promptTokens || 0;
+    row.responseTokens += entry.responseTokens || 0;
+    row.latencyMs += entry.latencyMs || 0;
+  } else {
+    row.runs++;
+    row.commits += entry.commits || 0;
+  }
+};
+
+/**
+ * Adds a log entry to the row it belongs to, creating the row if needed.
+ * @param {Map<string, object>} rows - The rows, by key.
+ * @param {string} key - The row's key.
+ * @param {object} entry - The log entry.
+ */
+const addTo = (rows, key, entry) => {
+  if (!rows.has(key)) rows.set(key, emptyRow(key));
+  add(rows.get(key), entry);
+};
+
+/**
+ * Summarizes the usage log: requests and tokens per day, repository and
+ * model, how often a suggestion was committed, and how many rewrites a
+ * commit took on average.
+ * @param {Array<object>} entries - The log entries (see `readUsage`).
+ * @param {{days?: number, now?: Date}} [options] - How many days back to look (all if unset), and the current time.
+ * @returns {{totals: object, acceptanceRate: number|null, rewritesPerCommit: number|null, outcomes: Object<string, number>, byDay: Array<object>, byRepo: Array<object>, byModel: Array<object>}} The summary; the rates are null when there is nothing to compute them from.
+ */
+export const summarizeUsage = (entries, { days, now = new Date() } = {}) => {
+  const since = days ? now.getTime() - days * 24 * 60 * 60 * 1000 : -Infinity;
+  const totals = emptyRow("total");
+  const byDay = new Map();
+  const byRepo = new Map();
+  const byModel = new Map();
+  const outcomes = Object.fromEntries(OUTCOMES.map((outcome) => [outcome, 0]));
+  let committedRewrites = 0;
+  let committedRuns = 0;
+
+  for (const entry of entries) {
+    if (Date.parse(entry.time) < since) continue;
+    add(totals, entry);
+    addTo(byDay, entry.time.slice(0, 10), entry);
+    addTo(byRepo, entry.repo || "(no repository)", entry);
+    if (entry.type === "request") {
+      addTo(byModel, `${entry.provider}/${entry.model}`, entry);
+    } else if (entry.outcome in outcomes) {
+      outcomes[entry.outcome]++;
+      if (entry.outcome === "committed") {
+        committedRuns++;
+        committedRewrites += entry.rewrites || 0;
+      }
+    }
+  }
+
+  // Suggestions that are only printed never get the chance to be committed,
+  // so they do not count either way.
+  const decided = totals.runs - outcomes.suggested;
+  const sorted = (rows) =>
+    [...rows.values()].sort((a, b) => a.key.localeCompare(b.key));
+  return {
+    totals,
+    outcomes,
+    acceptanceRate: decided ? outcomes.committed / decided : null,
+    rewritesPerCommit: committedRuns ? committedRewrites / committedRuns : null,
+    byDay: sorted(byDay),
+    byRepo: sorted(byRepo),
+    byModel: sorted(byModel),
+  };
+};
@@ -0,0 +1,201 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import { DEFAULTS } from "../services/config.js";
+import {
+  getCommitSuggestions,
+  resolveProviderSettings,
+} from "../services/llm.js";
+import {
+  AuthError,
+  EmptyResponseError,
+  NetworkError,
+  ProviderError,
+  QuotaError,
+} from "../services/http.js";
+import { CacheMissError } from "../services/cache.js";
+import {
+  delayed,
+  dropConnection,
+  failure,
+  startMockServer,
+  suggestion,
+} from "./helpers/mock-server.js";
+import { isolateEnvironment } from "./helpers/repo.js";
+import { captureOutput } from "./helpers/prompts.js";
+
+isolateEnvironment();
+
+const MESSAGES = [{ role: "user", content: "Write a commit message." }];
+
+let server;
+beforeEach(async () => {
+  server = await startMockServer();
+});
+afterEach(() => server.close());
+
+/**
+ * Resolves the settings for a provider pointed at the mock server.
+ * @param {object} [config] - Settings on top of the defaults.
+ * @returns {object} The provider settings, with an API key.
+ */
+const settingsFor = (config = {}) => ({
+  ...resolveProviderSettings({
+    ...DEFAULTS,
+    provider: "ollama",
+    baseUrl: server.url,
+    cache: "off",
+    ...config,
+  }),
+  apiKey: "test-key",
+});
+
+for (const provider of ["gemini", "openai", "ollama"]) {
+  test(`reads the suggestions of ${provider}`, async () => {
+    server.reply(suggestion("feat: add a feature", "fix: repair a bug"));
+    const count = provider === "ollama" ? 1 : 2;
+    assert.deepEqual(
+      await getCommitSuggestions(settingsFor({ provider }), MESSAGES, count),
+      ["feat: add a feature", "fix: repair a bug"].slice(0, count)
+    );
+  });
+}
+
+test("retries a rate limit, honoring Retry-After", async (t) => {
+  const output = captureOutput(t);
+  server.reply(failure(429, "Slow down", { "retry-after": "0" }));
+  server.reply(suggestion("feat: add a feature"));
+  assert.deepEqual(await getCommitSuggestions(settingsFor(), MESSAGES), [
+    "feat: add a feature",
+  ]);
+  assert.equal(server.requests.length, 2);
+  assert.match(output(), /retrying in 0s/);
+});
+
+test("gives up on a rate limit after the last retry", async (t) => {
+  captureOutput(t);
+  server.reply(failure(429, "Quota exceeded", { "retry-after": "0" }));
+  await assert.rejects(
+    getCommitSuggestions(settingsFor({ retries: 2 }), MESSAGES),
+    (error) =>
+      error instanceof QuotaError && /Quota exceeded/.test(error.message)
+  );
+  assert.equal(server.requests.length, 3);
+});
+
+test("gives up at once when the server asks to wait too long", async (t) => {
+  captureOutput(t);
+  server.reply(failure(429, "Later", { "retry-after": "120" }));
+  await assert.rejects(
+    getCommitSuggestions(settingsFor(), MESSAGES),
+    (error) => error instanceof QuotaError && /120 seconds/.test(error.hint)
+  );
+  assert.equal(server.requests.length, 1);
+});
+
+test("retries a server error", async (t) => {
+  captureOutput(t);
+  server.reply(failure(503, "Unavailable"), suggestion("feat: add a feature"));
+  assert.deepEqual(
+    await getCommitSuggestions(settingsFor({ retries: 1 }), MESSAGES),
+    ["feat: add a feature"]
+  );
+  assert.equal(server.requests.length, 2);
+});
+
+test("reports a server error that does not go away", async () => {
+  server.reply(failure(500, "Internal error"));
+  await assert.rejects(
+    getCommitSuggestions(settingsFor({ retries: 0 }), MESSAGES),
+    (error) =>
+      error.constructor === ProviderError &&
+      /HTTP 500: Internal error/.test(error.message) &&
+      /try again later/.test(error.hint)
+  );
+});
+
+test("does not retry a rejected API key", async () => {
+  server.reply(failure(401, "Invalid key"));
+  await assert.rejects(
+    getCommitSuggestions(settingsFor({ provider: "openai" }), MESSAGES),
+    (error) =>
+      error instanceof AuthError &&
+      /OPENAI_API_KEY/.test(error.hint) &&
+      !error.message.includes("test-key")
+  );
+  assert.equal(server.requests.length, 1);
+});
+
+test("retries a dropped connection", async (t) => {
+  captureOutput(t);
+  server.reply(dropConnection(), suggestion("feat: add a feature"));
+  assert.deepEqual(
+    await getCommitSuggestions(settingsFor({ retries: 1 }), MESSAGES),
+    ["feat: add a feature"]
+  );
+  assert.equal(server.requests.length, 2);
+});
+
+test("reports an unreachable server", async () => {
+  const { url } = server;
+  await server.close();
+  await assert.rejects(
+    getCommitSuggestions(settingsFor({ baseUrl: url }), MESSAGES),
+    (error) =>
+      error instanceof NetworkError && /Could not connect/.test(error.message)
+  );
+});
+
+test("reports a server that does not answer in time", async () => {
+  server.reply(delayed(suggestion("feat: late"), 1000));
+  await assert.rejects(
+    getCommitSuggestions(settingsFor({ timeout: 0.2 }), MESSAGES),
+    (error) =>
+      error instanceof NetworkError && /within 0.2s/.test(error.message)
+  );
+});
+
+test("reports an answer without a usable message", async () => {
+  server.reply(suggestion("```\n```"));
+  await assert.rejects(
+    getCommitSuggestions(settingsFor(), MESSAGES),
+    EmptyResponseError
+  );
+});
+
+test("replays recorded answers without calling the provider", async (t) => {
+  captureOutput(t);
+  const dir = `${process.env.HOME}/recordings`;
+  server.reply(suggestion("feat: recorded"));
+  await getCommitSuggestions(
+    settingsFor({ cache: "record", cacheDir: dir }),
+    MESSAGES
+  );
+  const replay = settingsFor({ cache: "replay", cacheDir: dir });
+  assert.deepEqual(await getCommitSuggestions(replay, MESSAGES), [
+    "feat: recorded",
+  ]);
+  await assert.rejects(
+    getCommitSuggestions(replay, [{ role: "user", content: "Other" }]),
+    CacheMissError
+  );
+  assert.equal(server.requests.length, 1);
+});
+
+test("uses a cached answer when the cache cannot be written", async (t) => {
+  captureOutput(t);
+  const settings = settingsFor({
+    cache: "on",
+    cacheDir: `${process.env.HOME}/read-only-cache`,
+  });
+  server.reply(suggestion("feat: cached"));
+  await getCommitSuggestions(settings, MESSAGES);
+  t.mock.method(fs, "utimesSync", () => {
+    throw Object.assign(new Error("read-only file system"), { code: "EROFS" });
+  });
+
+  assert.deepEqual(await getCommitSuggestions(settings, MESSAGES), [
+    "feat: cached",
+  ]);
+  assert.equal(server.requests.length, 1);
+});
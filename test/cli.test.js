@@ -0,0 +1,46 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseArgs } from "../cli.js";
+
+test("treats everything after -- as the message", () => {
+  assert.deepEqual(parseArgs(["-y", "--", "reword", "docs"]), {
+    command: "commit",
+    options: { yes: true },
+    positionals: ["reword", "docs"],
+  });
+  assert.deepEqual(parseArgs(["--", "--amend", "config"]), {
+    command: "commit",
+    options: {},
+    positionals: ["--amend", "config"],
+  });
+});
+
+test("takes a subcommand from the first argument before --", () => {
+  assert.deepEqual(parseArgs(["reword", "HEAD~2", "--", "fix", "typo"]), {
+    command: "reword",
+    options: {},
+    positionals: ["HEAD~2", "fix", "typo"],
+  });
+  assert.equal(parseArgs(["config"]).command, "config");
+  assert.equal(parseArgs(["hook", "install"]).command, "hook");
+});
+
+for (const words of [
+  ["config", "loader", "fix"],
+  ["stats", "page", "layout"],
+  ["login", "form", "validation"],
+  ["logout", "button"],
+  ["hook", "up", "the", "router"],
+]) {
+  test(`reads "${words.join(" ")}" as a message`, () => {
+    assert.deepEqual(parseArgs(words), {
+      command: "commit",
+      options: {},
+      positionals: words,
+    });
+  });
+}
+
+test("still reports a hook without its action", () => {
+  assert.throws(() => parseArgs(["hook"]), /expects "install" or "uninstall"/);
+});
@@ -0,0 +1,80 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { getUserConfigPath, loadConfig } from "../services/config.js";
+import {
+  createRepo,
+  isolateEnvironment,
+  removeDir,
+  writeFiles,
+} from "./helpers/repo.js";
+
+isolateEnvironment();
+
+let dir;
+beforeEach(async () => {
+  dir = await createRepo();
+  process.chdir(dir);
+});
+afterEach(() => {
+  process.chdir("/");
+  removeDir(dir);
+  fs.rmSync(getUserConfigPath(), { force: true });
+});
+
+test("reads settings from the repository's config", async () => {
+  writeFiles(dir, {
+    ".commitenhancerrc": JSON.stringify({
+      style: "full",
+      providers: { gemini: { model: "gemini-pro" } },
+    }),
+  });
+  const { config, sources } = await loadConfig();
+  assert.equal(config.style, "full");
+  assert.equal(config.model, "gemini-pro");
+  assert.equal(sources.style, ".commitenhancerrc");
+});
+
+for (const [name, values] of [
+  ["baseUrl", { baseUrl: "http://127.0.0.1:18777/v1beta" }],
+  ["provider", { provider: "ollama" }],
+  ["cacheDir", { cacheDir: "/tmp/elsewhere" }],
+  ["credentialStore", { credentialStore: "git" }],
+  [
+    "providers.gemini.baseUrl",
+    { providers: { gemini: { baseUrl: "http://127.0.0.1:18777" } } },
+  ],
+]) {
+  test(`refuses ${name} from the repository's config`, async () => {
+    writeFiles(dir, { ".commitenhancerrc": JSON.stringify(values) });
+    await assert.rejects(
+      loadConfig(),
+      new RegExp(`\\.commitenhancerrc may not set "${name}"`)
+    );
+  });
+}
+
+test("refuses endpoint settings from package.json", async () => {
+  writeFiles(dir, {
+    "package.json": JSON.stringify({
+      commitEnhancer: { baseUrl: "http://127.0.0.1:18777" },
+    }),
+  });
+  await assert.rejects(
+    loadConfig(),
+    /package\.json#commitEnhancer may not set "baseUrl"/
+  );
+});
+
+test("takes endpoint settings from the user's own config", async () => {
+  const file = getUserConfigPath();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(
+    file,
+    JSON.stringify({ provider: "ollama", baseUrl: "http://gpu-box:11434" })
+  );
+  const { config } = await loadConfig();
+  assert.equal(config.provider, "ollama");
+  assert.equal(config.baseUrl, "http://gpu-box:11434");
+});
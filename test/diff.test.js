@@ -0,0 +1,59 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildDiffContext, estimateTokens } from "../services/diff.js";
+
+/**
+ * Builds the stat and patch of many small staged files.
+ * @param {number} count - The number of files.
+ * @returns {{stat: string, patch: string}} The `git diff --stat` and patch output.
+ */
+const manyFiles = (count) => {
+  const stat = [];
+  const patch = [];
+  for (let index = 0; index < count; index++) {
+    const path = `src/module${index}.js`;
+    stat.push(` ${path} | 2 +-`);
+    patch.push(
+      `diff --git a/${path} b/${path}`,
+      `--- a/${path}`,
+      `+++ b/${path}`,
+      "@@ -1 +1 @@",
+      `-export const value${index} = 1;`,
+      `+export const value${index} = 2;`
+    );
+  }
+  stat.push(
+    ` ${count} files changed, ${count} insertions(+), ${count} deletions(-)`
+  );
+  return { stat: stat.join("\n"), patch: patch.join("\n") };
+};
+
+test("keeps the whole context within the token budget", () => {
+  const { stat, patch } = manyFiles(3000);
+  const context = buildDiffContext(stat, patch, 4000);
+
+  assert.ok(estimateTokens(context) <= 4000);
+  assert.match(context, /3000 files changed/);
+  assert.match(context, /^… and \d+ more files$/m);
+  assert.match(context, /^Files sent without their patch \(\d+\):$/m);
+});
+
+test("names the files sent without their patch once", () => {
+  const { stat, patch } = manyFiles(3);
+  const lockfile = [
+    "diff --git a/package-lock.json b/package-lock.json",
+    "--- a/package-lock.json",
+    "+++ b/package-lock.json",
+    "@@ -1 +1 @@",
+    '-  "version": "1.0.0"',
+    '+  "version": "1.1.0"',
+  ].join("\n");
+  const context = buildDiffContext(
+    ` package-lock.json | 2 +-\n${stat}`,
+    `${lockfile}\n${patch}`
+  );
+
+  assert.match(context, /^- package-lock\.json \(lockfile\)$/m);
+  assert.doesNotMatch(context, /more file/);
+  assert.doesNotMatch(context, /^- src\//m);
+});
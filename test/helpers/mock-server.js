@@ -0,0 +1,108 @@
+/**
+ * @file A local stand-in for the model APIs. Every request is recorded, and
+ * answered with the next scripted reply: a suggestion, an HTTP error, a slow
+ * answer or a dropped connection. The response body has the shape of all
+ * three providers at once, so any of them can be pointed at it.
+ */
+
+import http from "http";
+
+/** The token counts every successful reply reports. */
+export const TOKENS = { prompt: 120, response: 8 };
+
+/**
+ * Builds a successful reply holding one or more suggestions.
+ * @param {...string} texts - The suggestions.
+ * @returns {{status: number, body: object}} The reply.
+ */
+export const suggestion = (...texts) => ({
+  status: 200,
+  body: {
+    // Ollama
+    message: { content: texts[0] },
+    prompt_eval_count: TOKENS.prompt,
+    eval_count: TOKENS.response,
+    // OpenAI
+    choices: texts.map((text) => ({ message: { content: text } })),
+    usage: { prompt_tokens: TOKENS.prompt, completion_tokens: TOKENS.response },
+    // Gemini
+    candidates: texts.map((text) => ({ content: { parts: [{ text }] } })),
+    usageMetadata: {
+      promptTokenCount: TOKENS.prompt,
+      candidatesTokenCount: TOKENS.response,
+    },
+  },
+});
+
+/**
+ * Builds an error reply.
+ * @param {number} status - The HTTP status.
+ * @param {string} [message] - The error message in the body.
+ * @param {object} [headers] - Extra response headers (e.g. `Retry-After`).
+ * @returns {{status: number, body: object, headers?: object}} The reply.
+ */
+export const failure = (status, message = "Something went wrong", headers) => ({
+  status,
+  body: { error: { message } },
+  headers,
+});
+
+/** A reply that closes the connection without answering. */
+export const dropConnection = () => ({ drop: true });
+
+/**
+ * Starts the server on a free local port.
+ * @param {Array<object>} [replies] - The scripted replies, in order. Once they run out, the last one is repeated; before any is scripted, a valid suggestion is sent.
+ * @returns {Promise<{url: string, requests: Array<{url: string, body: object}>, reply: function(...object): void, close: function(): Promise<void>}>} The server's base URL, the requests received, a way to script more replies, and a way to stop it.
+ */
+export const startMockServer = async (replies = []) => {
+  const queue = [...replies];
+  let last = suggestion("feat: add a feature");
+  const requests = [];
+  const sockets = new Set();
+
+  const server = http.createServer((req, res) => {
+    let data = "";
+    req.on("data", (chunk) => (data += chunk));
+    req.on("end", () => {
+      requests.push({ url: req.url, body: data ? JSON.parse(data) : null });
+      const next = queue.length ? queue.shift() : last;
+      last = next;
+      if (next.drop) {
+        req.socket.destroy();
+        return;
+      }
+      setTimeout(() => {
+        res.writeHead(next.status, {
+          "content-type": "application/json",
+          ...next.headers,
+        });
+        res.end(JSON.stringify(next.body));
+      }, next.delay || 0);
+    });
+  });
+  server.on("connection", (socket) => {
+    sockets.add(socket);
+    socket.on("close", () => sockets.delete(socket));
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    reply: (...more) => queue.push(...more),
+    close: () =>
+      new Promise((resolve) => {
+        for (const socket of sockets) socket.destroy();
+        server.close(() => resolve());
+      }),
+  };
+};
+
+/**
+ * Sets how long a scripted reply takes.
+ * @param {object} reply - The reply.
+ * @param {number} ms - The delay in milliseconds.
+ * @returns {object} The delayed reply.
+ */
+export const delayed = (reply, ms) => ({ ...reply, delay: ms });
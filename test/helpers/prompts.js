@@ -0,0 +1,43 @@
+/**
+ * @file Scripted answers for the tool's inquirer prompts, and a way to keep
+ * its console output out of the test report while still checking it.
+ */
+
+import inquirer from "inquirer";
+import { setInteractive } from "../../services/terminal.js";
+
+/**
+ * Answers the next prompts with the given answers, in order, as if a user
+ * typed them. Prompts are turned on for the rest of the test.
+ * @param {import("node:test").TestContext} t - The test context, whose mocks are restored when it ends.
+ * @param {Array<object>} answers - One answers object per prompt, keyed by question name (e.g. `{ action: "rewrite" }`).
+ * @returns {Array<object>} The questions asked, filled in as prompts are shown.
+ */
+export const scriptAnswers = (t, answers) => {
+  const queue = [...answers];
+  const asked = [];
+  setInteractive(true);
+  t.after(() => setInteractive(null));
+  t.mock.method(inquirer, "prompt", async (questions) => {
+    asked.push(...questions);
+    if (!queue.length) {
+      throw new Error(`Unexpected prompt: "${questions[0].message}"`);
+    }
+    return queue.shift();
+  });
+  return asked;
+};
+
+/**
+ * Collects what the tool prints instead of showing it.
+ * @param {import("node:test").TestContext} t - The test context, whose mocks are restored when it ends.
+ * @returns {function(): string} Returns everything printed so far.
+ */
+export const captureOutput = (t) => {
+  const lines = [];
+  const collect = (...args) => lines.push(args.join(" "));
+  t.mock.method(console, "log", collect);
+  t.mock.method(console, "error", collect);
+  t.mock.method(console, "warn", collect);
+  return () => lines.join("\n");
+};
@@ -0,0 +1,127 @@
+/**
+ * @file Throwaway git repositories for the tests, and an environment that
+ * keeps the user's own git config, credentials, cache and CI variables out of
+ * the results.
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import execa from "execa";
+
+/** Environment variables that would change how the tool or git behaves. */
+const LEAKY_VARIABLES = [
+  /^GIT_CONFIG_(COUNT|KEY_\d+|VALUE_\d+|PARAMETERS)$/,
+  /^GIT_(DIR|WORK_TREE|INDEX_FILE|EDITOR)$/,
+  /^COMMIT_ENHANCER_/,
+  /_API_KEY$/,
+  /_(MODEL|BASE_URL)$/,
+  /^(OLLAMA_HOST|EDITOR|VISUAL)$/,
+  /^(CI|CONTINUOUS_INTEGRATION|BUILD_NUMBER|GITHUB_ACTIONS|GITLAB_CI|CIRCLECI|TRAVIS|BUILDKITE|JENKINS_URL|TF_BUILD)$/,
+];
+
+/**
+ * Creates an empty temporary directory.
+ * @param {string} [prefix="commit-enhancer-"] - The directory name prefix.
+ * @returns {string} The directory path.
+ */
+export const makeTempDir = (prefix = "commit-enhancer-") =>
+  fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), prefix)));
+
+/**
+ * Points HOME, the XDG directories and git's global config at a temporary
+ * directory, and removes variables that would leak in from the environment.
+ * Call it once per test file, before anything reads the configuration.
+ * @returns {string} The temporary home directory.
+ */
+export const isolateEnvironment = () => {
+  for (const name of Object.keys(process.env)) {
+    if (LEAKY_VARIABLES.some((pattern) => pattern.test(name))) {
+      delete process.env[name];
+    }
+  }
+  const home = makeTempDir("commit-enhancer-home-");
+  Object.assign(process.env, {
+    HOME: home,
+    XDG_CONFIG_HOME: path.join(home, ".config"),
+    XDG_CACHE_HOME: path.join(home, ".cache"),
+    XDG_STATE_HOME: path.join(home, ".local", "state"),
+    GIT_CONFIG_GLOBAL: path.join(home, ".gitconfig"),
+    GIT_CONFIG_NOSYSTEM: "1",
+    GIT_AUTHOR_NAME: "Test Author",
+    GIT_AUTHOR_EMAIL: "author@example.com",
+    GIT_COMMITTER_NAME: "Test Author",
+    GIT_COMMITTER_EMAIL: "author@example.com",
+  });
+  fs.writeFileSync(
+    process.env.GIT_CONFIG_GLOBAL,
+    "[init]\n\tdefaultBranch = main\n[commit]\n\tgpgsign = false\n"
+  );
+  process.on("exit", () => removeDir(home));
+  return home;
+};
+
+/**
+ * Runs git in a directory.
+ * @param {string} dir - The working directory.
+ * @param {...string} args - The git arguments.
+ * @returns {Promise<string>} The standard output.
+ */
+export const git = async (dir, ...args) =>
+  (await execa("git", args, { cwd: dir })).stdout;
+
+/**
+ * Writes files relative to a directory, creating parent directories.
+ * @param {string} dir - The base directory.
+ * @param {Object<string, string>} files - The file contents, keyed by relative path.
+ */
+export const writeFiles = (dir, files) => {
+  for (const [name, contents] of Object.entries(files)) {
+    const file = path.join(dir, name);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, contents);
+  }
+};
+
+/**
+ * Creates a repository in a temporary directory, optionally with a first commit.
+ * @param {Object<string, string>} [files] - Files for the first commit; none means no commit.
+ * @returns {Promise<string>} The repository path.
+ */
+export const createRepo = async (files) => {
+  const dir = makeTempDir();
+  await git(dir, "init", "--quiet");
+  if (files) {
+    writeFiles(dir, files);
+    await git(dir, "add", "--all");
+    await git(dir, "commit", "--quiet", "-m", "Initial commit");
+  }
+  return dir;
+};
+
+/**
+ * Installs an executable hook script.
+ * @param {string} dir - The repository path.
+ * @param {string} name - The hook name (e.g. "pre-commit").
+ * @param {string} script - The shell script body.
+ */
+export const installHook = (dir, name, script) => {
+  const file = path.join(dir, ".git", "hooks", name);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `#!/bin/sh\n${script}\n`, { mode: 0o755 });
+};
+
+/**
+ * Reads the subject and body of the last commit.
+ * @param {string} dir - The repository path.
+ * @returns {Promise<string>} The message.
+ */
+export const lastMessage = async (dir) =>
+  (await git(dir, "log", "-1", "--format=%B")).trimEnd();
+
+/**
+ * Removes a temporary directory.
+ * @param {string} dir - The directory.
+ */
+export const removeDir = (dir) =>
+  fs.rmSync(dir, { recursive: true, force: true });
@@ -0,0 +1,84 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { runHookCommand } from "../commit.js";
+import { hasMessage } from "../services/hook.js";
+import { startMockServer, suggestion } from "./helpers/mock-server.js";
+import {
+  createRepo,
+  git,
+  isolateEnvironment,
+  removeDir,
+  writeFiles,
+} from "./helpers/repo.js";
+import { captureOutput } from "./helpers/prompts.js";
+
+isolateEnvironment();
+
+/** What git writes for `git commit -v`: an empty message, help text, then the diff. */
+const VERBOSE_TEMPLATE = `
+# Please enter the commit message for your changes. Lines starting
+# with '#' will be ignored, and an empty message aborts the commit.
+#
+# ------------------------ >8 ------------------------
+# Do not modify or remove the line above.
+# Everything below it will be ignored.
+diff --git a/src/feature.js b/src/feature.js
+new file mode 100644
++export const feature = () => 42;
+`;
+
+let dir;
+let server;
+beforeEach(async () => {
+  dir = await createRepo({ "README.md": "# Project\n" });
+  process.chdir(dir);
+  writeFiles(dir, { "src/feature.js": "export const feature = () => 42;\n" });
+  await git(dir, "add", "--all");
+  server = await startMockServer();
+});
+afterEach(async () => {
+  process.chdir("/");
+  removeDir(dir);
+  await server.close();
+});
+
+test("ignores comments and the diff below the scissors line", () => {
+  assert.equal(hasMessage(VERBOSE_TEMPLATE), false);
+  assert.equal(hasMessage("\n# Only a comment\n"), false);
+  assert.equal(hasMessage(`feat: add the feature\n${VERBOSE_TEMPLATE}`), true);
+});
+
+test("fills in the message of `git commit -v`", async (t) => {
+  captureOutput(t);
+  server.reply(suggestion("feat: add the feature"));
+  const file = path.join(dir, ".git", "COMMIT_EDITMSG");
+  fs.writeFileSync(file, VERBOSE_TEMPLATE);
+  await runHookCommand("run", [file, ""], {
+    provider: "ollama",
+    baseUrl: server.url,
+    cache: "off",
+    retries: 0,
+  });
+
+  const contents = fs.readFileSync(file, "utf8");
+  assert.ok(contents.startsWith("feat: add the feature\n\n# Please enter"));
+  assert.ok(contents.endsWith(VERBOSE_TEMPLATE.slice(1)));
+});
+
+test("leaves a message that is already there", async (t) => {
+  captureOutput(t);
+  const file = path.join(dir, ".git", "COMMIT_EDITMSG");
+  fs.writeFileSync(file, `fix: keep this\n${VERBOSE_TEMPLATE}`);
+  await runHookCommand("run", [file, ""], {
+    provider: "ollama",
+    baseUrl: server.url,
+  });
+
+  assert.equal(server.requests.length, 0);
+  assert.equal(
+    fs.readFileSync(file, "utf8"),
+    `fix: keep this\n${VERBOSE_TEMPLATE}`
+  );
+});
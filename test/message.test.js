@@ -0,0 +1,46 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { formatMessage, parseMessage } from "../services/message.js";
+
+test("reads the closing trailers as footers", () => {
+  assert.deepEqual(
+    parseMessage(
+      "feat: add the cache\n\nKeeps answers for a day.\n\nRefs: #12\nCloses #14\nSigned-off-by: Sam <sam@example.com>"
+    ),
+    {
+      subject: "feat: add the cache",
+      body: "Keeps answers for a day.",
+      footers: [
+        "Refs: #12",
+        "Closes #14",
+        "Signed-off-by: Sam <sam@example.com>",
+      ],
+    }
+  );
+  assert.deepEqual(
+    parseMessage("feat!: drop Node 16\n\nBREAKING CHANGE: Node 18 is needed.")
+      .footers,
+    ["BREAKING CHANGE: Node 18 is needed."]
+  );
+});
+
+test("keeps a closing prose line in the body", () => {
+  const note =
+    "Note: this changes the default timeout for every provider, so slow local models may need a larger value.";
+  const message = `fix: raise the timeout\n\nThe old value was too short.\n\n${note}`;
+
+  const { body, footers } = parseMessage(message);
+  assert.deepEqual(footers, []);
+  assert.ok(body.endsWith(note));
+  assert.equal(
+    formatMessage(message),
+    [
+      "fix: raise the timeout",
+      "",
+      "The old value was too short.",
+      "",
+      "Note: this changes the default timeout for every provider, so slow local",
+      "models may need a larger value.",
+    ].join("\n")
+  );
+});
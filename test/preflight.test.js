@@ -0,0 +1,177 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { getInProgressOperation, preflightChecks } from "../services/git.js";
+import {
+  createRepo,
+  git,
+  isolateEnvironment,
+  makeTempDir,
+  removeDir,
+  writeFiles,
+} from "./helpers/repo.js";
+import { captureOutput, scriptAnswers } from "./helpers/prompts.js";
+
+isolateEnvironment();
+
+let dir;
+beforeEach(() => {
+  dir = makeTempDir();
+  process.chdir(dir);
+});
+afterEach(() => {
+  process.chdir("/");
+  removeDir(dir);
+});
+
+test("passes in a clean repository", async (t) => {
+  captureOutput(t);
+  await git(dir, "init", "--quiet");
+  assert.equal(await preflightChecks(false), true);
+});
+
+test("fails outside a repository without a terminal", async (t) => {
+  const output = captureOutput(t);
+  assert.equal(await preflightChecks(false), false);
+  assert.match(output(), /Not inside a Git repository/);
+  assert.equal(fs.existsSync(path.join(dir, ".git")), false);
+});
+
+test("initializes a repository on main when the user agrees", async (t) => {
+  captureOutput(t);
+  const asked = scriptAnswers(t, [{ shouldInit: true }]);
+  assert.equal(await preflightChecks(true), true);
+  assert.equal(asked[0].name, "shouldInit");
+  assert.equal(await git(dir, "symbolic-ref", "--short", "HEAD"), "main");
+});
+
+test("stops when the user declines to initialize a repository", async (t) => {
+  const output = captureOutput(t);
+  scriptAnswers(t, [{ shouldInit: false }]);
+  assert.equal(await preflightChecks(true), false);
+  assert.match(output(), /Operation cancelled/);
+  assert.equal(fs.existsSync(path.join(dir, ".git")), false);
+});
+
+test("fails while a merge conflict is unresolved", async (t) => {
+  const output = captureOutput(t);
+  const repo = await createRepo({ "file.txt": "base\n" });
+  process.chdir(repo);
+  await git(repo, "checkout", "--quiet", "-b", "other");
+  writeFiles(repo, { "file.txt": "theirs\n" });
+  await git(repo, "commit", "--quiet", "-am", "Change on other");
+  await git(repo, "checkout", "--quiet", "main");
+  writeFiles(repo, { "file.txt": "ours\n" });
+  await git(repo, "commit", "--quiet", "-am", "Change on main");
+  await assert.rejects(git(repo, "merge", "--quiet", "other"));
+
+  assert.equal(await preflightChecks(false), false);
+  assert.match(output(), /Merge conflict detected/);
+  removeDir(repo);
+});
+
+/**
+ * Creates a repository whose main and other branches both changed file.txt.
+ * @param {object} [options] - How the branches differ.
+ * @param {boolean} [options.bothAdded] - Add the file on both branches instead of changing it.
+ * @returns {Promise<string>} The repository path, checked out on main.
+ */
+const createDivergedRepo = async ({ bothAdded = false } = {}) => {
+  const repo = await createRepo({ "README.md": "# Project\n" });
+  process.chdir(repo);
+  if (!bothAdded) {
+    writeFiles(repo, { "file.txt": "base\n" });
+    await git(repo, "add", "file.txt");
+    await git(repo, "commit", "--quiet", "-m", "Add file");
+  }
+  await git(repo, "checkout", "--quiet", "-b", "other");
+  writeFiles(repo, { "file.txt": "theirs\n" });
+  await git(repo, "add", "file.txt");
+  await git(repo, "commit", "--quiet", "-m", "Change on other");
+  await git(repo, "checkout", "--quiet", "main");
+  writeFiles(repo, { "file.txt": "ours\n" });
+  await git(repo, "add", "file.txt");
+  await git(repo, "commit", "--quiet", "-m", "Change on main");
+  return repo;
+};
+
+test("fails while a file added on both sides is in conflict", async (t) => {
+  const output = captureOutput(t);
+  const repo = await createDivergedRepo({ bothAdded: true });
+  await assert.rejects(git(repo, "merge", "--quiet", "other"));
+  assert.match(await git(repo, "status", "--porcelain"), /^AA file\.txt/);
+
+  assert.equal(await preflightChecks(false), false);
+  assert.match(output(), /Merge conflict detected in file\.txt/);
+  assert.match(output(), /git merge --abort/);
+  removeDir(repo);
+});
+
+test("suggests aborting a cherry-pick that left conflicts", async (t) => {
+  const output = captureOutput(t);
+  const repo = await createDivergedRepo();
+  await assert.rejects(git(repo, "cherry-pick", "other"));
+
+  assert.equal(await preflightChecks(false), false);
+  assert.match(output(), /git cherry-pick --abort/);
+  removeDir(repo);
+});
+
+test("passes once a merge is resolved, even without changes", async (t) => {
+  const output = captureOutput(t);
+  const repo = await createDivergedRepo();
+  await git(repo, "merge", "--quiet", "--no-commit", "-s", "ours", "other");
+
+  assert.equal(await preflightChecks(false), true);
+  assert.match(output(), /Concluding the merge/);
+  assert.deepEqual(await getInProgressOperation(), {
+    kind: "merge",
+    message: "Merge branch 'other'",
+  });
+  removeDir(repo);
+});
+
+test("fails during a bisect", async (t) => {
+  const output = captureOutput(t);
+  const repo = await createDivergedRepo();
+  await git(repo, "bisect", "start", "HEAD", "HEAD~2");
+
+  assert.equal(await preflightChecks(false), false);
+  assert.match(output(), /git bisect reset/);
+  removeDir(repo);
+});
+
+test("warns during a rebase", async (t) => {
+  const output = captureOutput(t);
+  const repo = await createDivergedRepo();
+  await git(
+    repo,
+    "-c",
+    "sequence.editor=sed -i 1s/^pick/edit/",
+    "rebase",
+    "--quiet",
+    "-i",
+    "HEAD~1"
+  );
+
+  assert.equal(await preflightChecks(false), true);
+  assert.match(output(), /git rebase --continue/);
+  removeDir(repo);
+});
+
+test("asks before committing on a detached HEAD", async (t) => {
+  const output = captureOutput(t);
+  const repo = await createRepo({ "README.md": "# Project\n" });
+  process.chdir(repo);
+  await git(repo, "checkout", "--quiet", "--detach");
+
+  assert.equal(await preflightChecks(false), true);
+  assert.match(output(), /HEAD is detached/);
+  const asked = scriptAnswers(t, [{ proceed: false }]);
+  assert.equal(await preflightChecks(true), false);
+  assert.equal(asked[0].name, "proceed");
+  // Nothing is committed by the hook commands, so they skip the check.
+  assert.equal(await preflightChecks(true, false), true);
+  removeDir(repo);
+});
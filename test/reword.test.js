@@ -0,0 +1,108 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import execa from "execa";
+import { runRewordCommand } from "../commit.js";
+import { EXIT_CODES } from "../services/terminal.js";
+import { startMockServer, suggestion } from "./helpers/mock-server.js";
+import {
+  createRepo,
+  git,
+  isolateEnvironment,
+  lastMessage,
+  removeDir,
+  writeFiles,
+} from "./helpers/repo.js";
+import { captureOutput } from "./helpers/prompts.js";
+
+isolateEnvironment();
+
+let dir;
+let server;
+beforeEach(async () => {
+  dir = await createRepo({ "README.md": "# Project\n" });
+  process.chdir(dir);
+  writeFiles(dir, { "src/feature.js": "export const feature = () => 42;\n" });
+  await git(dir, "add", "--all");
+  await git(dir, "commit", "--quiet", "-m", "add stuff");
+  writeFiles(dir, { "docs/guide.md": "# Guide\n" });
+  await git(dir, "add", "--all");
+  await git(dir, "commit", "--quiet", "-m", "docs: add the guide");
+  server = await startMockServer();
+});
+afterEach(async () => {
+  process.exitCode = undefined;
+  process.chdir("/");
+  removeDir(dir);
+  await server.close();
+});
+
+/**
+ * Replaces HEAD with a copy carrying a (fake) signature header, as
+ * `git commit -S` would write it.
+ * @returns {Promise<void>}
+ */
+const signHead = async () => {
+  const raw = await git(dir, "cat-file", "commit", "HEAD");
+  const signed = raw.replace(
+    "\n\n",
+    "\ngpgsig -----BEGIN PGP SIGNATURE-----\n \n iQEzBAABCAAdFiEE\n -----END PGP SIGNATURE-----\n\n"
+  );
+  const { stdout: hash } = await execa(
+    "git",
+    ["hash-object", "-t", "commit", "-w", "--stdin"],
+    { cwd: dir, input: `${signed}\n` }
+  );
+  await git(dir, "update-ref", "HEAD", hash);
+};
+
+/**
+ * Rewords the commit before HEAD against the mock server.
+ * @param {object} [options] - The command-line options.
+ * @returns {Promise<void>}
+ */
+const reword = (options = {}) =>
+  runRewordCommand("HEAD~1", "", options, {
+    provider: "ollama",
+    baseUrl: server.url,
+    cache: "off",
+    retries: 0,
+  });
+
+test("rewords a commit and keeps the ones after it", async (t) => {
+  captureOutput(t);
+  server.reply(suggestion("feat: add the feature"));
+  await reword();
+
+  assert.equal(process.exitCode, undefined);
+  assert.equal(await lastMessage(dir), "docs: add the guide");
+  assert.equal(
+    await git(dir, "log", "-1", "--format=%s", "HEAD~1"),
+    "feat: add the feature"
+  );
+});
+
+test("refuses to drop the signature of a later commit", async (t) => {
+  const output = captureOutput(t);
+  await signHead();
+  const head = await git(dir, "rev-parse", "HEAD");
+  await reword();
+
+  assert.equal(process.exitCode, EXIT_CODES.ERROR);
+  assert.match(output(), /1 of the commits to rewrite is signed/);
+  assert.equal(server.requests.length, 0);
+  assert.equal(await git(dir, "rev-parse", "HEAD"), head);
+});
+
+test("drops the signatures with --force", async (t) => {
+  captureOutput(t);
+  await signHead();
+  server.reply(suggestion("feat: add the feature"));
+  await reword({ force: true });
+
+  assert.equal(process.exitCode, undefined);
+  assert.equal(
+    await git(dir, "log", "-1", "--format=%s", "HEAD~1"),
+    "feat: add the feature"
+  );
+  assert.doesNotMatch(await git(dir, "cat-file", "commit", "HEAD"), /gpgsig/);
+});
@@ -0,0 +1,123 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { handleStaging } from "../services/git.js";
+import {
+  createRepo,
+  git,
+  isolateEnvironment,
+  removeDir,
+  writeFiles,
+} from "./helpers/repo.js";
+import { captureOutput, scriptAnswers } from "./helpers/prompts.js";
+
+isolateEnvironment();
+
+/**
+ * Lists the staged paths.
+ * @returns {Promise<string[]>} The paths.
+ */
+const stagedFiles = async () =>
+  (await git(dir, "diff", "--staged", "--name-only"))
+    .split("\n")
+    .filter(Boolean);
+
+let dir;
+beforeEach(async () => {
+  dir = await createRepo({ "tracked.txt": "one\n" });
+  process.chdir(dir);
+});
+afterEach(() => {
+  process.chdir("/");
+  removeDir(dir);
+});
+
+test("goes ahead when changes are already staged", async (t) => {
+  captureOutput(t);
+  writeFiles(dir, { "tracked.txt": "two\n", "new.txt": "new\n" });
+  await git(dir, "add", "tracked.txt");
+  assert.equal(await handleStaging("ask", false), true);
+  assert.deepEqual(await stagedFiles(), ["tracked.txt"]);
+});
+
+test("stops when the working tree is clean", async (t) => {
+  const output = captureOutput(t);
+  assert.equal(await handleStaging("all", false), false);
+  assert.match(output(), /Working tree clean/);
+});
+
+test('"none" leaves staging to the user', async (t) => {
+  captureOutput(t);
+  writeFiles(dir, { "tracked.txt": "two\n" });
+  assert.equal(await handleStaging("none", false), false);
+  assert.deepEqual(await stagedFiles(), []);
+});
+
+test('"ask" fails fast without a terminal', async (t) => {
+  const output = captureOutput(t);
+  writeFiles(dir, { "tracked.txt": "two\n" });
+  assert.equal(await handleStaging("ask", false), false);
+  assert.match(output(), /set staging to all or tracked/);
+});
+
+test('"all" stages untracked files too', async (t) => {
+  captureOutput(t);
+  writeFiles(dir, { "tracked.txt": "two\n", "new.txt": "new\n" });
+  assert.equal(await handleStaging("all", false), true);
+  assert.deepEqual(await stagedFiles(), ["new.txt", "tracked.txt"]);
+});
+
+test('"tracked" leaves untracked files alone', async (t) => {
+  captureOutput(t);
+  writeFiles(dir, { "tracked.txt": "two\n", "new.txt": "new\n" });
+  assert.equal(await handleStaging("tracked", false), true);
+  assert.deepEqual(await stagedFiles(), ["tracked.txt"]);
+});
+
+test('"ask" stages the files the user picks', async (t) => {
+  captureOutput(t);
+  writeFiles(dir, { "tracked.txt": "two\n", "new.txt": "new\n" });
+  const asked = scriptAnswers(t, [
+    { action: "select" },
+    { paths: ["new.txt"] },
+  ]);
+  assert.equal(await handleStaging("ask", true), true);
+  assert.deepEqual(await stagedFiles(), ["new.txt"]);
+  // Untracked files start unchecked.
+  const choices = asked.find((question) => question.name === "paths").choices;
+  assert.deepEqual(
+    choices.map(({ value, checked }) => [value, checked]),
+    [
+      ["tracked.txt", true],
+      ["new.txt", false],
+    ]
+  );
+});
+
+test("stages the chosen files from a subdirectory", async (t) => {
+  captureOutput(t);
+  writeFiles(dir, {
+    "docs/a.md": "a\n",
+    "docs/b.md": "b\n",
+    "new.txt": "new\n",
+  });
+  process.chdir(`${dir}/docs`);
+  scriptAnswers(t, [{ action: "select" }, { paths: ["docs/b.md", "new.txt"] }]);
+  assert.equal(await handleStaging("ask", true), true);
+  assert.deepEqual(await stagedFiles(), ["docs/b.md", "new.txt"]);
+});
+
+test('"all" stages the whole working tree from a subdirectory', async (t) => {
+  captureOutput(t);
+  writeFiles(dir, { "docs/a.md": "a\n", "new.txt": "new\n" });
+  process.chdir(`${dir}/docs`);
+  assert.equal(await handleStaging("all", false), true);
+  assert.deepEqual(await stagedFiles(), ["docs/a.md", "new.txt"]);
+});
+
+test('"ask" stops when the user cancels', async (t) => {
+  captureOutput(t);
+  writeFiles(dir, { "tracked.txt": "two\n" });
+  scriptAnswers(t, [{ action: "cancel" }]);
+  assert.equal(await handleStaging("ask", true), false);
+  assert.deepEqual(await stagedFiles(), []);
+});
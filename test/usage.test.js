@@ -0,0 +1,213 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import { runCommitWorkflow } from "../commit.js";
+import { DEFAULTS } from "../services/config.js";
+import {
+  getCommitSuggestions,
+  resolveProviderSettings,
+} from "../services/llm.js";
+import {
+  finishRun,
+  getUsageLogPath,
+  readUsage,
+  startRun,
+  summarizeUsage,
+} from "../services/usage.js";
+import { EXIT_CODES } from "../services/terminal.js";
+import {
+  TOKENS,
+  failure,
+  startMockServer,
+  suggestion,
+} from "./helpers/mock-server.js";
+import {
+  createRepo,
+  git,
+  isolateEnvironment,
+  removeDir,
+  writeFiles,
+} from "./helpers/repo.js";
+import { captureOutput, scriptAnswers } from "./helpers/prompts.js";
+
+isolateEnvironment();
+
+let dir;
+let server;
+beforeEach(async () => {
+  fs.rmSync(getUsageLogPath(), { force: true });
+  dir = await createRepo({ "README.md": "# Project\n" });
+  process.chdir(dir);
+  writeFiles(dir, { "src/feature.js": "export const feature = () => 42;\n" });
+  await git(dir, "add", "--all");
+  server = await startMockServer();
+});
+afterEach(async () => {
+  process.exitCode = undefined;
+  process.chdir("/");
+  removeDir(dir);
+  await server.close();
+});
+
+/**
+ * Runs the commit workflow against the mock server.
+ * @param {object} [config] - Extra configuration overrides.
+ * @returns {Promise<void>}
+ */
+const commit = (config = {}) =>
+  runCommitWorkflow(
+    "add the feature",
+    {},
+    {
+      provider: "ollama",
+      baseUrl: server.url,
+      cache: "off",
+      retries: 0,
+      ...config,
+    }
+  );
+
+/**
+ * Reads the log entries of one type.
+ * @param {'request'|'run'} type - The entry type.
+ * @returns {Array<object>} The entries.
+ */
+const entries = (type) => readUsage().filter((entry) => entry.type === type);
+
+for (const provider of ["gemini", "openai", "ollama"]) {
+  test(`logs the tokens reported by ${provider}`, async () => {
+    startRun("commit", dir, { usageLog: true });
+    await getCommitSuggestions(
+      {
+        ...resolveProviderSettings({
+          ...DEFAULTS,
+          provider,
+          baseUrl: server.url,
+          cache: "off",
+        }),
+        apiKey: "test-key",
+      },
+      [{ role: "user", content: "Write a commit message." }]
+    );
+    finishRun("suggested");
+
+    const [request] = entries("request");
+    assert.equal(request.provider, provider);
+    assert.equal(request.promptTokens, TOKENS.prompt);
+    assert.equal(request.responseTokens, TOKENS.response);
+    assert.equal(request.cached, false);
+    assert.equal(request.error, null);
+  });
+}
+
+test("logs each request and the rewrites of a committed run", async (t) => {
+  captureOutput(t);
+  server.reply(suggestion("feat: add the feature module"));
+  server.reply(suggestion("feat: add the feature"));
+  scriptAnswers(t, [
+    { action: "rewrite" },
+    { rewriteHint: "shorter" },
+    { action: "commit" },
+  ]);
+  await commit();
+
+  const requests = entries("request");
+  assert.equal(requests.length, 2);
+  const [run] = entries("run");
+  assert.equal(run.command, "commit");
+  assert.equal(run.repo, dir);
+  assert.equal(run.outcome, "committed");
+  assert.equal(run.commits, 1);
+  assert.equal(run.rewrites, 1);
+  assert.ok(requests.every((request) => request.run === run.run));
+});
+
+test("logs a cancelled run", async (t) => {
+  captureOutput(t);
+  scriptAnswers(t, [{ action: "cancel" }]);
+  await commit();
+
+  assert.equal(entries("run")[0].outcome, "cancelled");
+});
+
+test("logs a failed request and run", async (t) => {
+  captureOutput(t);
+  server.reply(failure(503, "Unavailable"));
+  await commit();
+
+  assert.equal(process.exitCode, EXIT_CODES.API_ERROR);
+  const [request] = entries("request");
+  assert.equal(request.error, "ProviderError");
+  assert.equal(request.promptTokens, null);
+  assert.equal(entries("run")[0].outcome, "failed");
+});
+
+test("logs nothing when usageLog is off", async (t) => {
+  captureOutput(t);
+  await commit({ usageLog: false });
+
+  assert.equal(fs.existsSync(getUsageLogPath()), false);
+});
+
+test("summarizes the log by day, repository and model", () => {
+  const request = (time, repo, tokens) => ({
+    type: "request",
+    time,
+    repo,
+    provider: "ollama",
+    model: "llama3",
+    promptTokens: tokens,
+    responseTokens: 10,
+    latencyMs: 500,
+    cached: false,
+    error: null,
+  });
+  const run = (time, repo, outcome, rewrites = 0) => ({
+    type: "run",
+    time,
+    repo,
+    outcome,
+    commits: outcome === "committed" ? 1 : 0,
+    rewrites,
+  });
+  const log = [
+    request("2026-03-01T10:00:00Z", "/a", 100),
+    run("2026-03-01T10:00:01Z", "/a", "committed"),
+    request("2026-03-02T10:00:00Z", "/b", 200),
+    request("2026-03-02T10:01:00Z", "/b", 300),
+    run("2026-03-02T10:01:01Z", "/b", "committed", 1),
+    run("2026-03-02T11:00:00Z", "/b", "cancelled"),
+    run("2026-03-02T12:00:00Z", "/b", "suggested"),
+  ];
+
+  const summary = summarizeUsage(log);
+  assert.equal(summary.totals.requests, 3);
+  assert.equal(summary.totals.promptTokens, 600);
+  assert.equal(summary.totals.responseTokens, 30);
+  assert.equal(summary.totals.commits, 2);
+  // Dry runs are left out: two of the three other runs were committed.
+  assert.equal(summary.acceptanceRate, 2 / 3);
+  assert.equal(summary.rewritesPerCommit, 0.5);
+  assert.deepEqual(
+    summary.byDay.map(({ key, requests }) => [key, requests]),
+    [
+      ["2026-03-01", 1],
+      ["2026-03-02", 2],
+    ]
+  );
+  assert.deepEqual(
+    summary.byRepo.map(({ key, promptTokens }) => [key, promptTokens]),
+    [
+      ["/a", 100],
+      ["/b", 500],
+    ]
+  );
+  assert.equal(summary.byModel[0].key, "ollama/llama3");
+
+  const recent = summarizeUsage(log, {
+    days: 1,
+    now: new Date("2026-03-02T18:00:00Z"),
+  });
+  assert.equal(recent.totals.requests, 2);
+  assert.equal(recent.byRepo.length, 1);
+});
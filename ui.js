@@ -3,15 +3,33 @@
  * including prompts and displaying messages, using 'inquirer' and 'chalk'.
  */
 
+import fs from "fs";
+import os from "os";
+import path from "path";
+import execa from "execa";
 import inquirer from "inquirer";
 import chalk from "chalk";
+import { parseMessage, stripComments } from "./services/message.js";
+import { isInteractive, PromptError } from "./services/terminal.js";
+
+/**
+ * Shows inquirer prompts, failing fast instead of waiting forever when there
+ * is no terminal to answer them (see services/terminal.js).
+ * @param {Array<object>} questions - The inquirer questions.
+ * @returns {Promise<object>} The answers.
+ * @throws {PromptError} If the tool runs non-interactively.
+ */
+const ask = (questions) => {
+  if (!isInteractive()) throw new PromptError(questions[0].message);
+  return inquirer.prompt(questions);
+};
 
 /**
  * Asks the user if they want to initialize a new Git repository.
  * @returns {Promise<boolean>} True if the user confirms.
  */
 export const promptToInitRepo = async () => {
-  const { shouldInit } = await inquirer.prompt([
+  const { shouldInit } = await ask([
     {
       type: "confirm",
       name: "shouldInit",
@@ -23,36 +41,57 @@ export const promptToInitRepo = async () => {
 };
 
 /**
- * Prompts the user to enter their API key for the current session.
+ * Asks the user to confirm going ahead despite a warning.
+ * @param {string} message - The question.
+ * @returns {Promise<boolean>} True if the user wants to continue.
+ */
+export const promptToContinue = async (message) => {
+  const { proceed } = await ask([
+    { type: "confirm", name: "proceed", message, default: false },
+  ]);
+  return proceed;
+};
+
+/**
+ * Prompts the user to enter their API key.
+ * @param {{provider: string, label: string}} settings - The resolved provider settings.
+ * @param {boolean} [forSession=true] - Whether the key is asked for the current session only,
+ *   in which case the `login` command is suggested for storing it.
  * @returns {Promise<string>} The API key entered by the user.
  */
-export const promptForApiKey = async () => {
-  console.log(chalk.yellow("\nYou can set the key permanently by running:"));
-  console.log(
-    chalk.cyan('  git config --local gemini.apikey "YOUR_API_KEY_HERE"\n')
-  );
-  const { apiKey } = await inquirer.prompt([
+export const promptForApiKey = async (
+  { provider, label },
+  forSession = true
+) => {
+  if (forSession) {
+    console.log(
+      chalk.yellow("\nYou can store the key permanently by running:")
+    );
+    console.log(chalk.cyan(`  commit-enhancer login --provider ${provider}\n`));
+  }
+  const { apiKey } = await ask([
     {
       type: "password",
       name: "apiKey",
-      message: "Or, enter your Gemini API key for this session:",
+      message: forSession
+        ? `Or, enter your ${label} API key for this session:`
+        : `Enter your ${label} API key:`,
       mask: "*",
     },
   ]);
-  return apiKey;
+  return apiKey.trim();
 };
 
 /**
- * Asks the user if they want to save the entered API key to their local git config.
+ * Asks the user if they want to save the entered API key in the credential store.
  * @returns {Promise<boolean>} True if the user confirms.
  */
 export const promptToSaveApiKey = async () => {
-  const { shouldSave } = await inquirer.prompt([
+  const { shouldSave } = await ask([
     {
       type: "confirm",
       name: "shouldSave",
-      message:
-        "Would you like to save this key to your local git config for future use?",
+      message: "Would you like to save this key for future use?",
       default: true,
     },
   ]);
@@ -60,21 +99,53 @@ export const promptToSaveApiKey = async () => {
 };
 
 /**
- * Prompts the user to stage all unstaged/untracked files.
- * @returns {Promise<boolean>} True if the user confirms.
+ * Asks the user how to stage their changes when nothing is staged: pick files
+ * from a checklist, stage tracked files only, pick hunks with `git add -p`, or
+ * stage everything.
+ * @param {Array<{status: string, path: string, untracked: boolean}>} files - The unstaged and untracked files.
+ * @returns {Promise<{action: 'select'|'tracked'|'patch'|'all'|'cancel', paths: string[]}>} The chosen action and, for "select", the chosen paths.
  */
-export const promptToStageFiles = async () => {
+export const promptToStageFiles = async (files) => {
   console.log(chalk.yellow("No files are staged for commit."));
-  const { shouldAdd } = await inquirer.prompt([
+  const hasTracked = files.some((file) => !file.untracked);
+  const { action } = await ask([
     {
-      type: "confirm",
-      name: "shouldAdd",
-      message:
-        "You have unstaged changes and/or untracked files. Do you want to stage all of them now? (git add .)",
-      default: true,
+      type: "list",
+      name: "action",
+      message: `You have ${files.length} changed or untracked file(s). What do you want to stage?`,
+      choices: [
+        { name: "☑️  Choose files", value: "select" },
+        ...(hasTracked
+          ? [
+              { name: "📄 Tracked files only (git add -u)", value: "tracked" },
+              {
+                name: "🧩 Pick hunks interactively (git add -p)",
+                value: "patch",
+              },
+            ]
+          : []),
+        { name: "📦 Everything (git add .)", value: "all" },
+        { name: "❌ Cancel", value: "cancel" },
+      ],
     },
   ]);
-  return shouldAdd;
+  if (action !== "select") return { action, paths: [] };
+
+  // Untracked files start unchecked so build output is not swept in by accident.
+  const { paths } = await ask([
+    {
+      type: "checkbox",
+      name: "paths",
+      message: "Select the files to stage:",
+      pageSize: 15,
+      choices: files.map((file) => ({
+        name: `${chalk.yellow(file.status)} ${file.path}`,
+        value: file.path,
+        checked: !file.untracked,
+      })),
+    },
+  ]);
+  return { action, paths };
 };
 
 /**
@@ -82,7 +153,7 @@ export const promptToStageFiles = async () => {
  * @returns {Promise<string>} The raw commit message from the user.
  */
 export const promptForInitialCommit = async () => {
-  const { rawCommit } = await inquirer.prompt([
+  const { rawCommit } = await ask([
     {
       type: "input",
       name: "rawCommit",
@@ -94,28 +165,136 @@ export const promptForInitialCommit = async () => {
 
 /**
  * Displays the AI-generated commit suggestion to the user.
+ * The subject line is highlighted, and the body and footers of multi-line
+ * messages are shown below it, separated as they will appear in the commit.
  * @param {string} suggestion - The commit message to display.
+ * @param {string} [label="Gemini"] - The name of the provider that produced it.
+ * @param {{index: number, total: number}} [position] - Which candidate this is, when there are several.
  */
-export const displaySuggestion = (suggestion) => {
-  console.log(chalk.cyan("\nGemini's suggestion:"));
+export const displaySuggestion = (suggestion, label = "Gemini", position) => {
+  const { subject, body, footers } = parseMessage(suggestion);
+  const counter = position
+    ? ` (${position.index + 1} of ${position.total})`
+    : "";
+  console.log(chalk.cyan(`\n${label}'s suggestion${counter}:`));
   console.log("----------------------------------------");
-  console.log(chalk.green(suggestion));
+  console.log(chalk.green.bold(subject));
+  if (body) {
+    console.log(`\n${chalk.green(body)}`);
+  }
+  if (footers.length) {
+    console.log(`\n${chalk.yellow(footers.join("\n"))}`);
+  }
   console.log("----------------------------------------");
 };
 
 /**
- * Prompts the user to choose their next action (commit, rewrite, cancel).
- * @returns {Promise<'commit'|'rewrite'|'cancel'>} The user's selected action.
+ * Displays the commit rule violations found in a suggestion, if any.
+ * @param {Array<{rule: string, level: 'error'|'warning', message: string}>} violations - The lint violations.
+ */
+export const displayViolations = (violations) => {
+  if (!violations.length) return;
+  console.log(chalk.yellow("Commit rule violations:"));
+  for (const violation of violations) {
+    const color = violation.level === "error" ? chalk.red : chalk.yellow;
+    console.log(
+      color(`  ${violation.level}: ${violation.message} (${violation.rule})`)
+    );
+  }
+};
+
+/**
+ * Displays the possible secrets found in the text about to be sent.
+ * @param {Array<{description: string, location: string, preview: string}>} findings - The findings from `secrets.scanRequest`.
+ */
+export const displaySecretFindings = (findings) => {
+  console.log(
+    chalk.red(
+      `\n🔒 Found ${findings.length} possible secret(s) in the text about to be sent:`
+    )
+  );
+  for (const { description, location, preview } of findings) {
+    console.log(
+      `  ${chalk.bold(location)}  ${description}${
+        preview ? chalk.gray(` (${preview})`) : ""
+      }`
+    );
+  }
+  console.log(
+    chalk.gray(
+      "  False positive? Add the file glob or rule to the secretScanIgnore setting."
+    )
+  );
+};
+
+/**
+ * Asks the user what to do about the possible secrets that were found.
+ * @returns {Promise<'redact'|'send'|'cancel'>} The user's choice.
  */
-export const promptForAction = async () => {
-  const { action } = await inquirer.prompt([
+export const promptForSecretAction = async () => {
+  const { action } = await ask([
     {
       type: "list",
       name: "action",
       message: "What do you want to do?",
       choices: [
-        { name: "✅ Commit with this message", value: "commit" },
+        { name: "🔒 Redact them and continue", value: "redact" },
+        { name: "⚠️  Send them anyway", value: "send" },
+        { name: "❌ Cancel", value: "cancel" },
+      ],
+    },
+  ]);
+  return action;
+};
+
+/**
+ * Prompts the user to choose their next action (commit, edit, rewrite, undo, cancel).
+ * When several candidates were generated, the other candidates are listed as
+ * well so the user can switch to one of them.
+ * @param {boolean} [isValid=true] - Whether the current suggestion passed the commit rules.
+ * @param {Array<{suggestion: string, violations: Array<object>}>} [candidates=[]] - All candidates.
+ * @param {number} [current=0] - The index of the candidate being shown.
+ * @param {boolean} [canUndo=false] - Whether there is a previous suggestion to go back to.
+ * @returns {Promise<'commit'|'edit'|'rewrite'|'undo'|'cancel'|number>} The user's selected action, or the index of the candidate to switch to.
+ */
+export const promptForAction = async (
+  isValid = true,
+  candidates = [],
+  current = 0,
+  canUndo = false
+) => {
+  const others = candidates
+    .map(({ suggestion, violations }, index) => ({
+      name: `🔀 Use candidate ${index + 1}: ${
+        parseMessage(suggestion).subject
+      }${
+        violations.some((violation) => violation.level === "error")
+          ? chalk.red(" (breaks the rules)")
+          : ""
+      }`,
+      value: index,
+    }))
+    .filter(({ value }) => value !== current);
+
+  const { action } = await ask([
+    {
+      type: "list",
+      name: "action",
+      message: "What do you want to do?",
+      choices: [
+        {
+          name: isValid
+            ? "✅ Commit with this message"
+            : "⚠️  Commit anyway (breaks the commit rules)",
+          value: "commit",
+        },
+        ...(others.length ? [new inquirer.Separator(), ...others] : []),
+        new inquirer.Separator(),
+        { name: "✏️  Edit the message", value: "edit" },
         { name: "🔄 Rewrite the message", value: "rewrite" },
+        ...(canUndo
+          ? [{ name: "↩️  Undo the last rewrite", value: "undo" }]
+          : []),
         { name: "❌ Cancel commit", value: "cancel" },
       ],
     },
@@ -123,12 +302,154 @@ export const promptForAction = async () => {
   return action;
 };
 
+const EDIT_INSTRUCTIONS = `
+# Edit the commit message above. Lines starting with '#' will be ignored,
+# and an empty message keeps the previous suggestion.`;
+
+/**
+ * Lets the user edit text in their editor. Uses $GIT_EDITOR or $EDITOR,
+ * falling back to inquirer's editor prompt when neither is set. Comment lines
+ * are stripped from the result, as git does.
+ * @param {string} initial - The text to edit, including any instructions.
+ * @param {string} label - What is being edited, for the fallback prompt (e.g. "the commit message").
+ * @param {string} fileName - The name of the temporary file handed to the editor.
+ * @returns {Promise<string>} The edited text, or an empty string if it was cleared or the editor failed.
+ */
+const editText = async (initial, label, fileName) => {
+  const editor = process.env.GIT_EDITOR || process.env.EDITOR;
+
+  if (!editor) {
+    const { edited } = await ask([
+      {
+        type: "editor",
+        name: "edited",
+        message: `Edit ${label}:`,
+        default: initial,
+        postfix: ".txt",
+      },
+    ]);
+    return stripComments(edited);
+  }
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "commit-enhancer-"));
+  const file = path.join(dir, fileName);
+  try {
+    fs.writeFileSync(file, initial);
+    // The editor may include arguments (e.g. "code --wait"), so run it through the shell.
+    await execa(`${editor} "${file}"`, { shell: true, stdio: "inherit" });
+    return stripComments(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    console.error(chalk.red(`The editor "${editor}" failed: ${error.message}`));
+    return "";
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+};
+
+/**
+ * Lets the user edit a commit message in their editor (see `editText`).
+ * @param {string} message - The message to edit.
+ * @returns {Promise<string>} The edited message, or an empty string if it was cleared or the editor failed.
+ */
+export const editMessage = (message) =>
+  editText(
+    `${message}\n${EDIT_INSTRUCTIONS}\n`,
+    "the commit message",
+    "COMMIT_EDITMSG"
+  );
+
+const GROUP_INSTRUCTIONS = `
+# Each commit starts with a [title] line followed by its files, one per line.
+# Move files between commits, rename, reorder, add or remove [title] lines.
+# Files left out go into a final commit. Lines starting with '#' are ignored.`;
+
+/**
+ * Lets the user edit a proposed split in their editor.
+ * @param {string} text - The groups, as rendered by `split.formatGroups`.
+ * @returns {Promise<string>} The edited text, or an empty string if it was cleared or the editor failed.
+ */
+export const editGroups = (text) =>
+  editText(`${text}\n${GROUP_INSTRUCTIONS}\n`, "the commit groups", "SPLIT");
+
+/**
+ * Displays how the staged files are split into commits, with each commit's
+ * message once it has one.
+ * @param {Array<{title: string, files: string[], message?: string, violations?: Array<object>}>} groups - The groups.
+ */
+export const displayGroups = (groups) => {
+  console.log(
+    chalk.cyan(`\nThe changes will be split into ${groups.length} commits:`)
+  );
+  groups.forEach((group, index) => {
+    console.log(chalk.bold(`\n${index + 1}. ${group.title}`));
+    for (const file of group.files) console.log(chalk.gray(`   ${file}`));
+    if (group.message) {
+      console.log(
+        group.message
+          .split("\n")
+          .map((line) => `   ${line}`)
+          .join("\n")
+      );
+      if (group.violations) displayViolations(group.violations);
+    }
+  });
+};
+
+/**
+ * Asks the user what to do with a proposed split.
+ * @param {boolean} hasMessages - Whether the groups already have their messages.
+ * @param {number} count - The number of groups.
+ * @returns {Promise<'accept'|'edit'|'message'|'cancel'>} The user's choice.
+ */
+export const promptForSplitAction = async (hasMessages, count) => {
+  const { action } = await ask([
+    {
+      type: "list",
+      name: "action",
+      message: "What do you want to do?",
+      choices: [
+        {
+          name: hasMessages
+            ? `✅ Create the ${count} commits`
+            : "✅ Use this grouping and write the messages",
+          value: "accept",
+        },
+        hasMessages
+          ? { name: "✏️  Edit a message", value: "message" }
+          : { name: "✏️  Edit the grouping", value: "edit" },
+        { name: "❌ Cancel", value: "cancel" },
+      ],
+    },
+  ]);
+  return action;
+};
+
+/**
+ * Asks which commit's message to edit.
+ * @param {Array<{title: string}>} groups - The groups.
+ * @returns {Promise<number>} The index of the chosen group.
+ */
+export const promptForGroup = async (groups) => {
+  const { index } = await ask([
+    {
+      type: "list",
+      name: "index",
+      message: "Which commit's message do you want to edit?",
+      choices: groups.map((group, i) => ({
+        name: `${i + 1}. ${group.title}`,
+        value: i,
+      })),
+    },
+  ]);
+  return index;
+};
+
 /**
  * Prompts the user for a hint on how to rewrite the commit message.
  * @returns {Promise<string>} The user's rewrite hint.
  */
 export const promptForRewriteHint = async () => {
-  const { rewriteHint } = await inquirer.prompt([
+  const { rewriteHint } = await ask([
     {
       type: "input",
       name: "rewriteHint",
@@ -138,3 +459,119 @@ export const promptForRewriteHint = async () => {
   ]);
   return rewriteHint;
 };
+
+/**
+ * Displays the effective configuration along with the source of each setting.
+ * @param {object} config - The merged configuration.
+ * @param {Object<string, string>} sources - The layer each setting came from.
+ */
+export const displayConfig = (config, sources) => {
+  console.log(chalk.cyan("Effective configuration:"));
+  for (const [key, value] of Object.entries(config)) {
+    const shown =
+      key === "prompt" && sources[key] === "default"
+        ? "(built-in template)"
+        : JSON.stringify(value);
+    console.log(
+      `  ${chalk.bold(key)}: ${shown} ${chalk.gray(`[${sources[key]}]`)}`
+    );
+  }
+};
+
+/**
+ * Prints one breakdown of the usage statistics as an aligned table.
+ * @param {string} title - What the rows are (e.g. "By day").
+ * @param {Array<object>} rows - The summary rows (see services/usage.js).
+ * @param {boolean} [withCommits=true] - Whether to show the commits column; runs are not tied to a model.
+ */
+const displayUsageTable = (title, rows, withCommits = true) => {
+  const columns = ["requests", "promptTokens", "responseTokens"];
+  if (withCommits) columns.push("commits");
+  const lines = [
+    ["", "requests", "prompt", "response", "commits"].slice(
+      0,
+      columns.length + 1
+    ),
+    ...rows.map((row) => [
+      row.key,
+      ...columns.map((column) => String(row[column])),
+    ]),
+  ];
+  const widths = lines[0].map((_, column) =>
+    Math.max(...lines.map((line) => line[column].length))
+  );
+  console.log(chalk.cyan(`\n${title}:`));
+  lines.forEach((line, index) => {
+    const text = line
+      .map((cell, column) =>
+        column === 0
+          ? cell.padEnd(widths[column])
+          : cell.padStart(widths[column])
+      )
+      .join("  ");
+    console.log(`  ${index === 0 ? chalk.gray(text) : text}`);
+  });
+};
+
+/**
+ * Displays the usage statistics from the local log.
+ * @param {object} summary - The summary (see `summarizeUsage` in services/usage.js).
+ * @param {string} file - The path of the usage log.
+ * @param {number} [days] - How many days the summary covers, if limited.
+ */
+export const displayStats = (summary, file, days) => {
+  const { totals, outcomes } = summary;
+  console.log(
+    chalk.cyan(
+      days
+        ? `Usage over the last ${days} day(s):`
+        : "Usage since the log began:"
+    )
+  );
+  console.log(chalk.gray(`  (from ${file})`));
+  if (!totals.runs && !totals.requests) {
+    console.log(
+      chalk.yellow("\nNothing has been logged yet. Is the usageLog setting on?")
+    );
+    return;
+  }
+  const percent = (rate) =>
+    rate === null ? "n/a" : `${Math.round(rate * 100)}%`;
+  const rows = [
+    [
+      "Runs",
+      `${totals.runs} (${Object.entries(outcomes)
+        .map(([outcome, runs]) => `${runs} ${outcome}`)
+        .join(", ")})`,
+    ],
+    ["Commits", totals.commits],
+    [
+      "Requests",
+      `${totals.requests} (${totals.cached} cached, ${totals.failed} failed)`,
+    ],
+    [
+      "Tokens",
+      `${totals.promptTokens} prompt, ${totals.responseTokens} response`,
+    ],
+    [
+      "Average latency",
+      totals.requests
+        ? `${(totals.latencyMs / totals.requests / 1000).toFixed(1)}s`
+        : "n/a",
+    ],
+    ["Acceptance rate", percent(summary.acceptanceRate)],
+    [
+      "Rewrites per commit",
+      summary.rewritesPerCommit === null
+        ? "n/a"
+        : summary.rewritesPerCommit.toFixed(1),
+    ],
+  ];
+  console.log();
+  for (const [label, value] of rows) {
+    console.log(`  ${chalk.bold(`${label}:`)} ${value}`);
+  }
+  displayUsageTable("By day", summary.byDay);
+  displayUsageTable("By repository", summary.byRepo);
+  displayUsageTable("By model", summary.byModel, false);
+};